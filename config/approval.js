@@ -0,0 +1,29 @@
+// Two-person approval policy for broadcasts. Sends matching any rule are
+// held as pending requests until another user with approver rights approves
+// them. The policy is off unless at least one rule is configured.
+
+const parseList = (value) => {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const approvalPolicy = {
+  // Sends reaching at least this many devices (0 = no size limit)
+  minAudience: parseInt(process.env.APPROVAL_MIN_AUDIENCE, 10) || 0,
+  // Topic names that always require approval
+  topics: parseList(process.env.APPROVAL_TOPICS),
+  // Firebase account ids or names that always require approval
+  accounts: parseList(process.env.APPROVAL_ACCOUNTS),
+  // Pending requests expire after this many hours
+  expiryHours: parseInt(process.env.APPROVAL_EXPIRY_HOURS, 10) || 24
+};
+
+const isApprovalEnabled = () => {
+  return approvalPolicy.minAudience > 0 ||
+    approvalPolicy.topics.length > 0 ||
+    approvalPolicy.accounts.length > 0;
+};
+
+module.exports = { approvalPolicy, isApprovalEnabled };
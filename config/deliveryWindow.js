@@ -0,0 +1,36 @@
+// Organization-wide delivery window settings. During quiet hours (recipient
+// local time) sends that respect them are held per device until the window
+// ends. Devices that registered without a timezone use the default one.
+
+const { isValidTimeZone } = require('../utils/timezone');
+
+// "HH:mm" to minutes since midnight, or null when malformed
+const parseTimeOfDay = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec((value || '').trim());
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+const quietHours = {
+  // Start and end of the quiet window; it may wrap past midnight
+  start: process.env.QUIET_HOURS_START || '22:00',
+  end: process.env.QUIET_HOURS_END || '08:00'
+};
+
+// Timezone assumed for devices that registered without one
+const defaultRecipientTimeZone = isValidTimeZone(process.env.DEFAULT_RECIPIENT_TIMEZONE)
+  ? process.env.DEFAULT_RECIPIENT_TIMEZONE
+  : 'UTC';
+
+// Quiet hours are off when either end is missing or malformed, or both are equal
+const isQuietHoursEnabled = () => {
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  return start !== null && end !== null && start !== end;
+};
+
+module.exports = {
+  parseTimeOfDay,
+  quietHours,
+  defaultRecipientTimeZone,
+  isQuietHoursEnabled
+};
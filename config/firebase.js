@@ -146,6 +146,9 @@ const getFirebaseAdmin = async (accountId = null) => {
   }
 };
 
+// Whether the legacy credentials from .env were initialized
+const hasDefaultFirebase = () => firebaseAdmins.has('default');
+
 // Clean up method for removing Firebase admin instances
 const removeFirebaseAccount = (accountId) => {
   if (firebaseAdmins.has(accountId)) {
@@ -166,5 +169,6 @@ module.exports = {
   initializeFirebaseAccount,
   initializeAllFirebaseAccounts,
   getFirebaseAdmin,
+  hasDefaultFirebase,
   removeFirebaseAccount
 }; 
\ No newline at end of file
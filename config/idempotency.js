@@ -0,0 +1,10 @@
+// Idempotency keys guard against double sends: a submission repeating the key
+// of an earlier one within the window gets the earlier result instead of
+// sending again (see services/idempotency).
+
+const idempotencyPolicy = {
+  // How long a key is remembered, in minutes
+  windowMinutes: Math.max(1, parseInt(process.env.IDEMPOTENCY_WINDOW_MINUTES, 10) || 60)
+};
+
+module.exports = { idempotencyPolicy };
@@ -0,0 +1,22 @@
+// Daily send quotas per role: how many notifications a user may submit and
+// how many recipients they may reach per day (0 = unlimited). Admins can give
+// single users their own limits on the user management page.
+
+const readLimit = (name) => Math.max(0, parseInt(process.env[name], 10) || 0);
+
+const roleQuotas = {
+  user: {
+    notificationsPerDay: readLimit('QUOTA_USER_NOTIFICATIONS_PER_DAY'),
+    recipientsPerDay: readLimit('QUOTA_USER_RECIPIENTS_PER_DAY')
+  },
+  approver: {
+    notificationsPerDay: readLimit('QUOTA_APPROVER_NOTIFICATIONS_PER_DAY'),
+    recipientsPerDay: readLimit('QUOTA_APPROVER_RECIPIENTS_PER_DAY')
+  },
+  admin: {
+    notificationsPerDay: readLimit('QUOTA_ADMIN_NOTIFICATIONS_PER_DAY'),
+    recipientsPerDay: readLimit('QUOTA_ADMIN_RECIPIENTS_PER_DAY')
+  }
+};
+
+module.exports = { roleQuotas };
@@ -0,0 +1,31 @@
+// Retry policy for transient FCM failures. Each failed token is sent again
+// up to maxAttempts times in total, waiting an exponentially growing delay
+// (with random jitter) between attempts, or the Retry-After delay FCM asked for.
+
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const retryPolicy = {
+  // Total attempts per token, including the first send (1 = never retry)
+  maxAttempts: Math.max(1, Math.floor(parseNumber(process.env.FCM_RETRY_MAX_ATTEMPTS, 3))),
+  // Delay before the first retry, doubled for every further retry
+  baseDelayMs: parseNumber(process.env.FCM_RETRY_BASE_DELAY_MS, 1000),
+  // Longest delay between attempts; a longer Retry-After stops retrying
+  maxDelayMs: parseNumber(process.env.FCM_RETRY_MAX_DELAY_MS, 30000),
+  // Share of each delay that is randomized (0 = none, 1 = full jitter)
+  jitter: Math.min(1, parseNumber(process.env.FCM_RETRY_JITTER, 0.5))
+};
+
+// FCM error codes worth another attempt
+const RETRYABLE_ERROR_CODES = [
+  'messaging/unavailable',
+  'messaging/server-unavailable',
+  'messaging/internal-error',
+  'messaging/quota-exceeded',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded'
+];
+
+module.exports = { retryPolicy, RETRYABLE_ERROR_CODES };
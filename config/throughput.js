@@ -0,0 +1,15 @@
+// Default throughput caps for Firebase accounts that don't set their own.
+// 0 means unlimited.
+const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : 0;
+};
+
+const defaultThroughput = {
+  // Messages pushed to FCM per second
+  messagesPerSecond: parseLimit(process.env.FCM_MAX_MESSAGES_PER_SECOND),
+  // FCM requests in flight at the same time
+  concurrentRequests: parseLimit(process.env.FCM_MAX_CONCURRENT_REQUESTS)
+};
+
+module.exports = { defaultThroughput };
@@ -0,0 +1,17 @@
+// What happens to devices whose tokens FCM reports as dead after a send.
+//   deactivate - mark the device inactive and close its topic subscriptions (default)
+//   flag       - keep the device active but flag it for review on the devices page
+//   off        - only record the failure
+const TOKEN_CLEANUP_MODES = ['deactivate', 'flag', 'off'];
+
+const tokenCleanupMode = TOKEN_CLEANUP_MODES.includes(process.env.DEAD_TOKEN_ACTION)
+  ? process.env.DEAD_TOKEN_ACTION
+  : 'deactivate';
+
+// FCM error codes meaning the token will never work again
+const DEAD_TOKEN_ERROR_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+module.exports = { TOKEN_CLEANUP_MODES, tokenCleanupMode, DEAD_TOKEN_ERROR_CODES };
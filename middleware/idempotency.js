@@ -0,0 +1,74 @@
+const {
+  checkIdempotencyKey,
+  findOriginalSubmission,
+  claimIdempotencyKey,
+  releaseIdempotencyKey
+} = require('../services/idempotency');
+
+const wantsJson = (req) => req.xhr || req.headers['x-requested-with'] === 'XMLHttpRequest';
+
+// How to point at each kind of earlier submission: page, JSON id field and what happened to it
+const ORIGINALS = {
+  history: [record => `/notifications/history/${record.id}`, 'historyId', record => ({ Failed: 'submitted and failed', Sending: 'queued for sending' }[record.status] || 'sent')],
+  job: [() => '/notifications', 'jobId', () => 'queued for sending'],
+  scheduled: [() => '/notifications/scheduled', 'scheduledId', () => 'scheduled'],
+  approval: [record => `/approvals/${record.id}`, 'approvalId', () => 'submitted for approval']
+};
+
+// Stop repeated submissions of the same notification (double clicks, browser
+// resubmits, API retries). The key comes from the Idempotency-Key header or
+// the form's idempotencyKey field and is passed on in req.body so the send
+// stores it; a repeat within the window gets the original result instead.
+// Requests are redirected to redirectTo when the key cannot be used.
+exports.applyIdempotencyKey = (redirectTo) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key') || (req.body && req.body.idempotencyKey) || null;
+  if (!key) {
+    return next();
+  }
+
+  const reject = (status, message) => {
+    if (wantsJson(req)) {
+      return res.status(status).json({ success: false, error: message });
+    }
+    req.flash('error_msg', message);
+    res.redirect(redirectTo);
+  };
+
+  try {
+    checkIdempotencyKey(key);
+  } catch (error) {
+    return reject(400, error.message);
+  }
+
+  const userId = req.user ? req.user.id : null;
+  if (!claimIdempotencyKey(key, userId)) {
+    return reject(409, 'This notification is still being submitted; wait for the first submission to finish');
+  }
+
+  let original;
+  try {
+    original = await findOriginalSubmission(key, userId);
+  } catch (error) {
+    releaseIdempotencyKey(key, userId);
+    throw error;
+  }
+
+  if (original) {
+    releaseIdempotencyKey(key, userId);
+    const [pageOf, idField, outcomeOf] = ORIGINALS[original.type];
+
+    if (wantsJson(req)) {
+      return res.json({ success: true, duplicate: true, [idField]: original.record.id, status: original.record.status });
+    }
+
+    req.flash('info_msg', `This notification was already ${outcomeOf(original.record)}; the repeated submission was ignored`);
+    return res.redirect(pageOf(original.record));
+  }
+
+  // Held until the response is sent, by which time the send is stored
+  res.on('close', () => releaseIdempotencyKey(key, userId));
+  if (req.body) {
+    req.body.idempotencyKey = key;
+  }
+  next();
+};
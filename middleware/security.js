@@ -2,6 +2,12 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const { body, validationResult } = require('express-validator');
 const axios = require('axios');
+const { hasUnfilledPlaceholders } = require('../utils/placeholders');
+const { parseCondition } = require('../utils/condition');
+const { parseCustomData, parsePlatformOptions, parsePlatformOverrides } = require('../utils/messageOptions');
+const { EXPERIMENT_TARGETS, parseExperiment } = require('../utils/experiment');
+const { LOCALIZED_TARGETS, parseLocalizations } = require('../utils/localization');
+const { parseRawMessage } = require('../utils/rawMessage');
 
 // Helmet configuration for secure headers
 exports.configureHelmet = (app) => {
@@ -261,6 +267,107 @@ exports.validateFirebaseAccount = [
   }
 ];
 
+// Notification content validation (callers check validationResult themselves
+// so each form can redirect back to its own page). Title and body are kept
+// as typed; views escape them on output.
+exports.validateNotification = [
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters')
+    .not().custom(hasUnfilledPlaceholders).withMessage('Fill in all template variables used in the title'),
+  body('body')
+    .trim()
+    .notEmpty().withMessage('Body is required')
+    .isLength({ max: 1000 }).withMessage('Body cannot exceed 1000 characters')
+    .not().custom(hasUnfilledPlaceholders).withMessage('Fill in all template variables used in the body'),
+  body('imageUrl')
+    .optional({ checkFalsy: true })
+    .isURL().withMessage('Image URL must be a valid URL'),
+  body('condition')
+    .if(body('targetType').equals('condition'))
+    .custom(value => {
+      parseCondition(value);
+      return true;
+    }),
+  body('segmentId')
+    .if(body('targetType').equals('segment'))
+    .notEmpty().withMessage('Choose a segment to send to'),
+  body('originId')
+    .optional({ checkFalsy: true })
+    .isUUID().withMessage('Invalid origin notification'),
+  body('accountMode')
+    .optional({ checkFalsy: true })
+    .isIn(['single', 'multiple', 'all']).withMessage('Invalid account mode'),
+  body('accountIds')
+    .if(body('accountMode').equals('multiple'))
+    .toArray()
+    .custom(ids => ids.length > 0).withMessage('Choose at least one account to send through'),
+  body('accountIds.*')
+    .if(body('accountMode').equals('multiple'))
+    .isUUID().withMessage('Choose a valid Firebase account'),
+  body('clickAction')
+    .optional({ checkFalsy: true })
+    .not().custom(hasUnfilledPlaceholders).withMessage('Fill in all template variables used in the click action'),
+  body('data')
+    .optional({ checkFalsy: true })
+    .custom(value => {
+      parseCustomData(value);
+      return true;
+    })
+    .not().custom(hasUnfilledPlaceholders).withMessage('Fill in all template variables used in the custom data'),
+  body('platformOptions')
+    .optional({ checkFalsy: true })
+    .custom(value => {
+      parsePlatformOptions(value);
+      return true;
+    })
+    .not().custom(hasUnfilledPlaceholders).withMessage('Fill in all template variables used in the platform options'),
+  body('platformOverrides')
+    .optional({ checkFalsy: true })
+    .custom(value => {
+      parsePlatformOverrides(value);
+      return true;
+    }),
+  body('experiment')
+    .optional({ checkFalsy: true })
+    .custom((value, { req }) => {
+      parseExperiment(value, { title: req.body.title, body: req.body.body, imageUrl: req.body.imageUrl });
+      return true;
+    })
+    .custom((value, { req }) => EXPERIMENT_TARGETS.includes(req.body.targetType || 'all'))
+    .withMessage('A/B experiments only apply to All Devices and Segment sends'),
+  body('localizations')
+    .optional({ checkFalsy: true })
+    .custom(value => {
+      parseLocalizations(value);
+      return true;
+    })
+    .custom((value, { req }) => LOCALIZED_TARGETS.includes(req.body.targetType || 'all'))
+    .withMessage('Translations only apply to All Devices, Segment and Specific Device sends')
+    .custom((value, { req }) => !req.body.experiment)
+    .withMessage('Translations cannot be combined with an A/B experiment'),
+  body('rawMessage')
+    .optional({ checkFalsy: true })
+    .custom(value => {
+      parseRawMessage(value);
+      return true;
+    })
+    .not().custom(hasUnfilledPlaceholders).withMessage('Fill in all template variables used in the raw message')
+    .custom((value, { req }) => !req.body.experiment && !req.body.localizations)
+    .withMessage('A raw FCM message cannot be combined with translations or an A/B experiment')
+];
+
+// Notification resend validation (account and target picked on the history page)
+exports.validateResend = [
+  body('accountId')
+    .optional({ checkFalsy: true })
+    .isUUID().withMessage('Choose a valid Firebase account'),
+  body('target')
+    .optional({ checkFalsy: true })
+    .matches(/^(same|all|(segment|topic|device):.+)$/).withMessage('Choose where to resend the notification')
+];
+
 // Validate reCAPTCHA (conditional based on environment configuration)
 exports.validateRecaptcha = async (req, res, next) => {
   // Skip reCAPTCHA validation if not configured
@@ -313,5 +420,7 @@ module.exports = {
   validateRegister: exports.validateRegister,
   validatePasswordChange: exports.validatePasswordChange,
   validateFirebaseAccount: exports.validateFirebaseAccount,
+  validateNotification: exports.validateNotification,
+  validateResend: exports.validateResend,
   validateRecaptcha: exports.validateRecaptcha
 }; 
\ No newline at end of file
@@ -0,0 +1,61 @@
+const { renderPlaceholders, renderDeep } = require('../utils/placeholders');
+
+// Form fields that may contain {{placeholders}} when a template is loaded
+const TEXT_FIELDS = ['title', 'body', 'imageUrl', 'clickAction'];
+const JSON_FIELDS = ['data', 'platformOptions'];
+
+// Collect the submitted template variables. HTML forms post them as
+// "templateVars[name]" fields, JSON requests as a templateVars object.
+const collectTemplateVariables = (body) => {
+  const variables = {};
+
+  if (body.templateVars && typeof body.templateVars === 'object') {
+    Object.assign(variables, body.templateVars);
+  }
+  delete body.templateVars;
+
+  Object.keys(body).forEach(key => {
+    const match = key.match(/^templateVars\[(.+)\]$/);
+    if (match) {
+      variables[match[1]] = body[key];
+      delete body[key];
+    }
+  });
+
+  return variables;
+};
+
+// Fill in template variables before the notification is validated and sent
+exports.applyTemplateVariables = (req, res, next) => {
+  if (!req.body) {
+    return next();
+  }
+
+  const variables = collectTemplateVariables(req.body);
+
+  if (Object.keys(variables).length === 0) {
+    return next();
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    if (typeof req.body[field] === 'string') {
+      req.body[field] = renderPlaceholders(req.body[field], variables);
+    }
+  });
+
+  JSON_FIELDS.forEach(field => {
+    const value = req.body[field];
+    if (!value) {
+      return;
+    }
+    try {
+      // Render inside the parsed JSON so values with quotes stay valid
+      const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+      req.body[field] = JSON.stringify(renderDeep(parsed, variables));
+    } catch (error) {
+      // Leave invalid JSON for the validators to report
+    }
+  });
+
+  next();
+};
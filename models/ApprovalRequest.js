@@ -0,0 +1,155 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ApprovalRequest = sequelize.define('ApprovalRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Notification payload to send once approved
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      const rawValue = this.getDataValue('payload');
+      return rawValue ? JSON.parse(rawValue) : {};
+    },
+    set(value) {
+      this.setDataValue('payload', JSON.stringify(value));
+    }
+  },
+  target: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  audienceSize: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Why the policy asked for approval
+  reasons: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('reasons');
+      return rawValue ? JSON.parse(rawValue) : [];
+    },
+    set(value) {
+      this.setDataValue('reasons', JSON.stringify(value || []));
+    }
+  },
+  // Optional delivery time requested by the sender
+  sendAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Pending, Approved, Scheduled, Sent, Failed, Rejected, Expired or Cancelled
+  // (campaign requests stay Approved once the campaign is activated)
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Pending'
+  },
+  requestedBy: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Idempotency key of the submission that asked for approval
+  idempotencyKey: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  rejectionReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  error: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  historyId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  scheduledId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Set when the request holds a recurring campaign instead of a single send
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Charge against the requester's daily send quota, refunded when the
+  // request is rejected, expires or is withdrawn
+  quotaUsageId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Every action taken on the request: [{ action, userId, username, note, at }]
+  trail: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('trail');
+      return rawValue ? JSON.parse(rawValue) : [];
+    },
+    set(value) {
+      this.setDataValue('trail', JSON.stringify(value || []));
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'approval_request_status_expires_at',
+      fields: ['status', 'expiresAt']
+    },
+    {
+      name: 'approval_request_idempotency_key',
+      fields: ['idempotencyKey']
+    }
+  ]
+});
+
+// Append an entry to the approval trail (saved with the next update)
+ApprovalRequest.prototype.addTrailEntry = function(action, user = null, note = null) {
+  this.trail = [
+    ...this.trail,
+    {
+      action,
+      userId: user ? user.id : null,
+      username: user ? user.username : 'System',
+      note,
+      at: new Date().toISOString()
+    }
+  ];
+};
+
+module.exports = ApprovalRequest;
@@ -0,0 +1,173 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { getNextCronRun } = require('../utils/cron');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+
+const Campaign = sequelize.define('Campaign', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Notification payload sent on every run
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      const rawValue = this.getDataValue('payload');
+      return rawValue ? JSON.parse(rawValue) : {};
+    },
+    set(value) {
+      this.setDataValue('payload', JSON.stringify(value));
+    }
+  },
+  // 'cron' or 'interval'
+  scheduleType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'interval',
+    validate: {
+      isIn: [['cron', 'interval']]
+    }
+  },
+  cronExpression: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  intervalDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  // Local "HH:MM" used by interval schedules
+  timeOfDay: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'UTC'
+  },
+  startDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Active, Paused, Pending (waiting for approval) or Completed
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Active'
+  },
+  // Approval request for the current version when the approval policy holds it
+  approvalId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastRunStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  runCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Virtual field for UI display
+  scheduleSummary: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      if (this.scheduleType === 'cron') {
+        return `Cron: ${this.cronExpression}`;
+      }
+      const days = this.intervalDays === 1 ? 'day' : `${this.intervalDays} days`;
+      return `Every ${days} at ${this.timeOfDay}`;
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'campaign_status_next_run_at',
+      fields: ['status', 'nextRunAt']
+    }
+  ]
+});
+
+// Next run for an "every N days at HH:MM" rule, counted from the start date
+const getNextIntervalRun = (campaign, after) => {
+  const zone = campaign.timezone;
+  const start = getZonedParts(campaign.startDate, zone);
+  const current = getZonedParts(after, zone);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+  const currentDay = Date.UTC(current.year, current.month - 1, current.day);
+  const elapsedDays = Math.max(0, Math.round((currentDay - startDay) / dayMs));
+
+  // First run day on or after the current local day
+  let offset = Math.ceil(elapsedDays / campaign.intervalDays) * campaign.intervalDays;
+
+  // Two candidates are always enough to get past `after`
+  for (let i = 0; i < 3; i++) {
+    const day = new Date(startDay + offset * dayMs).toISOString().substring(0, 10);
+    const candidate = zonedTimeToUtc(`${day}T${campaign.timeOfDay}`, zone);
+    if (candidate && candidate > after && candidate >= campaign.startDate) {
+      return candidate;
+    }
+    offset += campaign.intervalDays;
+  }
+
+  return null;
+};
+
+// Work out when the campaign should fire next (null when it is finished)
+Campaign.prototype.computeNextRun = function(after = new Date()) {
+  // Never run before the start date
+  const from = after < this.startDate ? new Date(this.startDate.getTime() - 1) : after;
+
+  const next = this.scheduleType === 'cron'
+    ? getNextCronRun(this.cronExpression, from, this.timezone)
+    : getNextIntervalRun(this, from);
+
+  if (!next || (this.endDate && next > this.endDate)) {
+    return null;
+  }
+
+  return next;
+};
+
+module.exports = Campaign;
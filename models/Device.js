@@ -28,6 +28,16 @@ const Device = sequelize.define('Device', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // Set when FCM reported the token as dead and cleanup only flags devices
+  needsReview: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  reviewReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   metadata: {
     type: DataTypes.TEXT,
     allowNull: true,
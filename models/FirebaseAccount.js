@@ -75,6 +75,15 @@ const FirebaseAccount = sequelize.define('FirebaseAccount', {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // Throughput caps for messages pushed to FCM with this account (empty = server default)
+  maxMessagesPerSecond: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  maxConcurrentRequests: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   lastUsed: {
     type: DataTypes.DATE,
     allowNull: true
@@ -0,0 +1,106 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const NotificationHistory = require('./NotificationHistory');
+
+// Outcome of a notification for a single recipient token. Topic and
+// condition sends have no known recipients and get one row without a token.
+const NotificationDelivery = sequelize.define('NotificationDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  historyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: NotificationHistory,
+      key: 'id'
+    }
+  },
+  // Registered device, if the token belongs to one
+  deviceId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  token: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // The message ID as the app receives it, without the
+  // "projects/<id>/messages/" prefix, for matching open reports
+  appMessageId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // FCM error code such as messaging/registration-token-not-registered
+  errorCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  errorMessage: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Send attempts made, more than one when transient failures were retried
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // Experiment variant (A, B, ...) the recipient was sent
+  variant: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // When the app reported the notification as opened
+  openedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'notification_delivery_history_success',
+      fields: ['historyId', 'success']
+    },
+    {
+      name: 'notification_delivery_token',
+      fields: ['token']
+    },
+    {
+      name: 'notification_delivery_message_id',
+      fields: ['messageId']
+    },
+    {
+      name: 'notification_delivery_app_message_id',
+      fields: ['appMessageId']
+    }
+  ]
+});
+
+// Define associations
+NotificationHistory.hasMany(NotificationDelivery, {
+  foreignKey: 'historyId',
+  as: 'deliveries'
+});
+
+NotificationDelivery.belongsTo(NotificationHistory, {
+  foreignKey: 'historyId'
+});
+
+module.exports = NotificationDelivery;
@@ -45,6 +45,51 @@ const NotificationHistory = sequelize.define('NotificationHistory', {
     allowNull: true,
     defaultValue: 'Default'
   },
+  // Set when the notification was sent by a recurring campaign run
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Set when the send went through the two-person approval workflow
+  approvalId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Validate-only sends: FCM checked the message but nothing was delivered
+  dryRun: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Notification payload and target as sent, for resending and cloning
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('payload');
+      return rawValue ? JSON.parse(rawValue) : null;
+    },
+    set(value) {
+      this.setDataValue('payload', value ? JSON.stringify(value) : null);
+    }
+  },
+  // Set when the notification was resent or cloned from an earlier one
+  originId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Set on each account's entry of a notification sent through several
+  // accounts, pointing to the entry that sums them up
+  parentId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Idempotency key of the submission, so a repeated submission within the
+  // idempotency window gets this entry instead of sending again
+  idempotencyKey: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   data: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -83,6 +128,14 @@ const NotificationHistory = sequelize.define('NotificationHistory', {
           return `Success (${data.successCount}/${data.successCount + (data.failureCount || 0)})`;
         }
         return 'Success';
+      } else if (this.status === 'Partial') {
+        return `Partial: ${this.error || 'some accounts failed'}`;
+      } else if (this.status === 'Cancelled') {
+        const data = this.get('data');
+        if (data && data.successCount !== undefined) {
+          return `Cancelled (${data.successCount}/${data.totalRecipients || 0} reached)`;
+        }
+        return 'Cancelled';
       } else {
         return `Failed: ${this.error || 'Unknown error'}`;
       }
@@ -116,6 +169,22 @@ const NotificationHistory = sequelize.define('NotificationHistory', {
     {
       name: 'notification_history_account_id',
       fields: ['accountId']
+    },
+    {
+      name: 'notification_history_campaign_id',
+      fields: ['campaignId']
+    },
+    {
+      name: 'notification_history_origin_id',
+      fields: ['originId']
+    },
+    {
+      name: 'notification_history_parent_id',
+      fields: ['parentId']
+    },
+    {
+      name: 'notification_history_idempotency_key',
+      fields: ['idempotencyKey']
     }
   ]
 });
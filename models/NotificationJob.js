@@ -0,0 +1,153 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A composed notification waiting for (or being sent by) a background worker.
+// Progress is saved after every batch so the page can follow it and an
+// interrupted job resumes where it stopped after a restart.
+const NotificationJob = sequelize.define('NotificationJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Full notification payload as submitted from the composer
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      const rawValue = this.getDataValue('payload');
+      return rawValue ? JSON.parse(rawValue) : {};
+    },
+    set(value) {
+      this.setDataValue('payload', JSON.stringify(value));
+    }
+  },
+  // Queued, Running, Cancelling (stop requested), Completed, Failed or Cancelled
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Queued'
+  },
+  totalRecipients: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  totalBatches: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  batchesDone: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  successCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failureCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Earliest time a worker may pick the job up; set while recipients are
+  // held until their local delivery window opens
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // History entry of the send, created once the recipients are known
+  historyId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Outcome summary (counts, retries, cleanup) once the job is done
+  summary: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Idempotency key of the submission that queued it
+  idempotencyKey: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // What queued the send besides a user: a campaign run, an approved
+  // request or a scheduled notification; they are updated when it finishes
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  approvalId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  scheduledId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  cancelledBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'notification_job_status_created_at',
+      fields: ['status', 'createdAt']
+    },
+    {
+      name: 'notification_job_idempotency_key',
+      fields: ['idempotencyKey']
+    },
+    {
+      name: 'notification_job_scheduled_id',
+      fields: ['scheduledId']
+    },
+    {
+      name: 'notification_job_approval_id',
+      fields: ['approvalId']
+    }
+  ]
+});
+
+// Progress fields sent to the live progress view
+NotificationJob.prototype.toProgress = function() {
+  return {
+    id: this.id,
+    title: this.title,
+    status: this.status,
+    totalRecipients: this.totalRecipients,
+    totalBatches: this.totalBatches,
+    batchesDone: this.batchesDone,
+    successCount: this.successCount,
+    failureCount: this.failureCount,
+    historyId: this.historyId,
+    runAt: this.runAt,
+    summary: this.summary,
+    error: this.error
+  };
+};
+
+module.exports = NotificationJob;
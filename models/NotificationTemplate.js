@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { extractPlaceholders } = require('../utils/placeholders');
+
+// Store an object as JSON text in the given column
+const jsonColumn = (name) => ({
+  type: DataTypes.TEXT,
+  allowNull: true,
+  get() {
+    const rawValue = this.getDataValue(name);
+    return rawValue ? JSON.parse(rawValue) : {};
+  },
+  set(value) {
+    this.setDataValue(name, value && Object.keys(value).length > 0 ? JSON.stringify(value) : null);
+  }
+});
+
+const NotificationTemplate = sequelize.define('NotificationTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Title, body and URLs may contain {{placeholders}}
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  imageUrl: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  clickAction: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  highPriority: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  silent: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Custom key/value pairs added to the message data payload
+  data: jsonColumn('data'),
+  // android / apns / webpush overrides merged into the FCM message
+  platformOptions: jsonColumn('platformOptions'),
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Placeholder names the sender has to fill in
+  variables: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return extractPlaceholders([
+        this.title,
+        this.body,
+        this.imageUrl,
+        this.clickAction,
+        this.data,
+        this.platformOptions
+      ]);
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = NotificationTemplate;
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A notification submitted by a user, counted against their daily send
+// quota. Scheduled and held notifications count on the day they were
+// submitted.
+const QuotaUsage = sequelize.define('QuotaUsage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Messages it sends: one per Firebase account a fan-out goes through
+  notifications: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // Estimated audience of the notification
+  recipients: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  target: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'quota_usage_user_created',
+      fields: ['userId', 'createdAt']
+    }
+  ]
+});
+
+module.exports = QuotaUsage;
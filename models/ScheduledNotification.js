@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ScheduledNotification = sequelize.define('ScheduledNotification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Full notification payload as submitted from the composer
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      const rawValue = this.getDataValue('payload');
+      return rawValue ? JSON.parse(rawValue) : {};
+    },
+    set(value) {
+      this.setDataValue('payload', JSON.stringify(value));
+    }
+  },
+  sendAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'UTC'
+  },
+  // Scheduled, Sending, Sent, Failed or Cancelled
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Scheduled'
+  },
+  error: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  historyId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Idempotency key of the submission that scheduled it
+  idempotencyKey: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Set when the notification was approved through the approval workflow
+  approvalId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Charge against the creator's daily send quota, swapped when it is edited
+  quotaUsageId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      name: 'scheduled_notification_status_send_at',
+      fields: ['status', 'sendAt']
+    },
+    {
+      name: 'scheduled_notification_idempotency_key',
+      fields: ['idempotencyKey']
+    }
+  ]
+});
+
+module.exports = ScheduledNotification;
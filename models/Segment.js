@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { describeSegmentRules } = require('../utils/segmentRules');
+
+const Segment = sequelize.define('Segment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // [{ field, operator, value }] — a device must match every rule
+  rules: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      const rawValue = this.getDataValue('rules');
+      return rawValue ? JSON.parse(rawValue) : [];
+    },
+    set(value) {
+      this.setDataValue('rules', JSON.stringify(value || []));
+    }
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Virtual field for UI display
+  summary: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return describeSegmentRules(this.rules);
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = Segment;
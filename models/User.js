@@ -38,6 +38,20 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // May approve broadcasts held by the approval policy (admins always can)
+  canApprove: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Own daily send quota instead of the role's (null = role quota, 0 = unlimited)
+  dailyNotificationLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  dailyRecipientLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   lastLogin: {
     type: DataTypes.DATE,
     allowNull: true
@@ -73,6 +87,17 @@ User.prototype.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check approver rights
+User.prototype.isApprover = function() {
+  return Boolean(this.isAdmin || this.canApprove);
+};
+
+// Role whose daily send quota applies (see config/quota)
+User.prototype.quotaRole = function() {
+  if (this.isAdmin) return 'admin';
+  return this.canApprove ? 'approver' : 'user';
+};
+
 // Method to generate password reset token
 User.prototype.generatePasswordResetToken = function() {
   // Generate token
@@ -14,6 +14,30 @@ const {
   removeFirebaseAccount 
 } = require('../config/firebase');
 const { Op } = require('sequelize');
+const { defaultThroughput } = require('../config/throughput');
+
+// Read the throughput caps from the account form. Blank means the server
+// default; returns an error message for anything but a whole number >= 1.
+const parseThroughputLimits = (body) => {
+  const fields = {
+    maxMessagesPerSecond: 'Messages per second',
+    maxConcurrentRequests: 'Concurrent requests'
+  };
+  const limits = {};
+
+  for (const [field, label] of Object.entries(fields)) {
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (value === '') {
+      limits[field] = null;
+    } else if (/^\d+$/.test(value) && parseInt(value, 10) >= 1) {
+      limits[field] = parseInt(value, 10);
+    } else {
+      return { error: `${label} must be a whole number of at least 1, or blank for the server default` };
+    }
+  }
+
+  return { limits };
+};
 
 // @route   GET /accounts
 // @desc    List all firebase accounts
@@ -45,6 +69,7 @@ router.get('/add', protect, adminMiddleware, (req, res) => {
   res.render('accounts/add', {
     title: 'Add Firebase Account',
     activeTab: 'accounts',
+    defaultThroughput,
     csrfToken: res.locals.csrfToken || ''
   });
 });
@@ -54,6 +79,12 @@ router.get('/add', protect, adminMiddleware, (req, res) => {
 // @access  Private/Admin
 router.post('/add', protect, adminMiddleware, sanitizeInput, accountOperationsRateLimiter, expensiveOperationsRateLimiter, validateFirebaseAccount, async (req, res) => {
   const { name, projectId, clientEmail, privateKey, isDefault } = req.body;
+  const { limits, error } = parseThroughputLimits(req.body);
+
+  if (error) {
+    req.flash('error_msg', error);
+    return res.redirect('/accounts/add');
+  }
 
   try {
     // Check if account with the same name exists
@@ -80,6 +111,7 @@ router.post('/add', protect, adminMiddleware, sanitizeInput, accountOperationsRa
       privateKey,
       isDefault: isDefault === 'on',
       isActive: true,
+      ...limits,
       createdBy: req.user.id
     });
 
@@ -115,6 +147,7 @@ router.get('/edit/:id', protect, adminMiddleware, async (req, res) => {
       title: 'Edit Firebase Account',
       activeTab: 'accounts',
       account,
+      defaultThroughput,
       csrfToken: res.locals.csrfToken || ''
     });
   } catch (err) {
@@ -129,6 +162,12 @@ router.get('/edit/:id', protect, adminMiddleware, async (req, res) => {
 // @access  Private/Admin
 router.post('/edit/:id', protect, adminMiddleware, sanitizeInput, accountOperationsRateLimiter, expensiveOperationsRateLimiter, async (req, res) => {
   const { name, projectId, clientEmail, privateKey, isDefault, isActive } = req.body;
+  const { limits, error } = parseThroughputLimits(req.body);
+
+  if (error) {
+    req.flash('error_msg', error);
+    return res.redirect(`/accounts/edit/${req.params.id}`);
+  }
 
   try {
     let account = await FirebaseAccount.findByPk(req.params.id);
@@ -172,7 +211,8 @@ router.post('/edit/:id', protect, adminMiddleware, sanitizeInput, accountOperati
       projectId,
       clientEmail,
       isDefault: isDefault === 'on',
-      isActive: isActive === 'on'
+      isActive: isActive === 'on',
+      ...limits
     };
 
     // Only update private key if provided
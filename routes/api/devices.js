@@ -3,9 +3,13 @@ const router = express.Router();
 const Device = require('../../models/Device');
 const Topic = require('../../models/Topic');
 const TopicSubscription = require('../../models/TopicSubscription');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const { toAppMessageId } = require('../../services/deliveries');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const { isValidTimeZone } = require('../../utils/timezone');
+const { normalizeLocale } = require('../../utils/localization');
 
 // API key validation middleware
 const validateApiKey = (req, res, next) => {
@@ -123,6 +127,12 @@ router.post('/register', apiLimiter, validateApiKey, validateDeviceRegistration,
           appVersion: metadataObj.appVersion || null,
           osVersion: metadataObj.osVersion || null,
           deviceModel: metadataObj.deviceModel || null,
+          // IANA timezone and locale used for local time delivery and quiet hours
+          timezone: metadataObj.timezone || null,
+          locale: metadataObj.locale || null,
+          // Firebase project the token was issued by, so sends through several
+          // accounts reach the device through the matching one
+          projectId: metadataObj.projectId || null,
           // Add any other allowed fields
         };
       } catch (e) {
@@ -131,6 +141,30 @@ router.post('/register', apiLimiter, validateApiKey, validateDeviceRegistration,
           message: 'Invalid metadata format'
         });
       }
+      
+      if (sanitizedMetadata.timezone && !isValidTimeZone(sanitizedMetadata.timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid timezone in metadata, expected an IANA name such as Europe/Berlin'
+        });
+      }
+      
+      if (sanitizedMetadata.projectId && (typeof sanitizedMetadata.projectId !== 'string' || !/^[a-z][a-z0-9-]{4,29}$/.test(sanitizedMetadata.projectId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid projectId in metadata, expected a Firebase project ID such as my-app-12345'
+        });
+      }
+      
+      if (sanitizedMetadata.locale) {
+        sanitizedMetadata.locale = typeof sanitizedMetadata.locale === 'string' ? normalizeLocale(sanitizedMetadata.locale) : null;
+        if (!sanitizedMetadata.locale) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid locale in metadata, expected a language tag such as en-US'
+          });
+        }
+      }
     }
     
     // Check if device exists by token
@@ -149,6 +183,9 @@ router.post('/register', apiLimiter, validateApiKey, validateDeviceRegistration,
         platform: platform || existingDevice.platform,
         lastSeen: new Date(),
         isActive: true,
+        // A fresh registration means the token works again
+        needsReview: false,
+        reviewReason: null,
         metadata: metadata ? sanitizedMetadata : existingDevice.metadata
       });
       
@@ -240,6 +277,67 @@ router.post('/register', apiLimiter, validateApiKey, validateDeviceRegistration,
   }
 });
 
+// Validation rules for open reports
+const validateOpenReport = [
+  body('messageId')
+    .notEmpty().withMessage('Message ID is required')
+    .isString().withMessage('Message ID must be a string')
+    .isLength({ max: 255 }).withMessage('Message ID must be no more than 255 characters'),
+  body('token')
+    .optional()
+    .isString().withMessage('FCM token must be a string')
+];
+
+// @route   POST /api/devices/opened
+// @desc    Record that a notification was opened on the device. The app sends
+//          the FCM message ID it received (with or without the
+//          "projects/<id>/messages/" prefix) and optionally its token.
+// @access  Public (with API key and rate limiting)
+router.post('/opened', apiLimiter, validateApiKey, validateOpenReport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const { messageId, token } = req.body;
+    const where = { appMessageId: toAppMessageId(messageId) };
+    if (token) {
+      where.token = token;
+    }
+    
+    const delivery = await NotificationDelivery.findOne({ where, order: [['sentAt', 'DESC']] });
+    
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'No delivery found for this message'
+      });
+    }
+    
+    // Only the first open counts
+    if (!delivery.openedAt) {
+      await delivery.update({ openedAt: new Date() });
+    }
+    
+    return res.json({
+      success: true,
+      message: 'Open recorded',
+      openedAt: delivery.openedAt
+    });
+  } catch (error) {
+    console.error('Error recording notification open:', error);
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: process.env.NODE_ENV === 'production' ? 'Server error' : error.message 
+    });
+  }
+});
+
 // Helper function to generate a deterministic device ID based on token and platform
 function generateDeviceId(token, platform = 'unknown') {
   // Create a hash of the token
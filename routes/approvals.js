@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { sanitizeInput } = require('../middleware/security');
+const { body, validationResult } = require('express-validator');
+const { approvalPolicy, isApprovalEnabled } = require('../config/approval');
+const { approveRequest, rejectRequest, cancelRequest } = require('../services/approvals');
+
+// Input validation (the reason ends up in the trail, which views escape on output)
+const validateRejection = [
+  body('rejectionReason')
+    .trim()
+    .notEmpty().withMessage('A reason is required to reject a request')
+    .isLength({ max: 255 }).withMessage('Reason cannot exceed 255 characters')
+];
+
+// Map user ids to usernames for display
+const getUsernames = async (requests) => {
+  const ids = [...new Set(requests.flatMap(request => [request.requestedBy, request.reviewedBy]).filter(Boolean))];
+  const users = await User.findAll({
+    where: { id: { [Op.in]: ids } },
+    attributes: ['id', 'username']
+  });
+  return Object.fromEntries(users.map(user => [user.id, user.username]));
+};
+
+// GET: Pending and recently reviewed requests
+router.get('/', protect, async (req, res) => {
+  try {
+    const pending = await ApprovalRequest.findAll({
+      where: { status: 'Pending' },
+      order: [['expiresAt', 'ASC']]
+    });
+
+    const recent = await ApprovalRequest.findAll({
+      where: { status: { [Op.ne]: 'Pending' } },
+      order: [['updatedAt', 'DESC']],
+      limit: 50
+    });
+
+    res.render('approvals/index', {
+      title: 'Approval Requests',
+      activeTab: 'notifications',
+      pending,
+      recent,
+      usernames: await getUsernames([...pending, ...recent]),
+      policy: approvalPolicy,
+      policyEnabled: isApprovalEnabled(),
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
+  } catch (error) {
+    console.error('Error loading approval requests:', error);
+    req.flash('error_msg', 'Failed to load approval requests');
+    res.redirect('/notifications');
+  }
+});
+
+// GET: Request details and approval trail
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const request = await ApprovalRequest.findByPk(req.params.id);
+
+    if (!request) {
+      req.flash('error_msg', 'Approval request not found');
+      return res.redirect('/approvals');
+    }
+
+    const isPending = request.status === 'Pending';
+
+    res.render('approvals/show', {
+      title: 'Approval Request',
+      activeTab: 'notifications',
+      request,
+      usernames: await getUsernames([request]),
+      canReview: isPending && req.user.isApprover() && request.requestedBy !== req.user.id,
+      canCancel: isPending && (req.user.isAdmin || request.requestedBy === req.user.id),
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
+  } catch (error) {
+    console.error('Error loading approval request:', error);
+    req.flash('error_msg', 'Failed to load approval request');
+    res.redirect('/approvals');
+  }
+});
+
+// POST: Approve and dispatch a request
+router.post('/:id/approve', protect, async (req, res) => {
+  try {
+    const request = await ApprovalRequest.findByPk(req.params.id);
+
+    if (!request) {
+      req.flash('error_msg', 'Approval request not found');
+      return res.redirect('/approvals');
+    }
+
+    await approveRequest(request, req.user);
+
+    if (request.campaignId && request.status === 'Approved') {
+      req.flash('success_msg', 'Request approved; the campaign runs on its schedule');
+      return res.redirect(`/campaigns/${request.campaignId}`);
+    } else if (request.status === 'Scheduled') {
+      req.flash('success_msg', 'Request approved; the notification is scheduled for the requested time');
+    } else if (request.status === 'Approved') {
+      req.flash('success_msg', `Request approved; the notification to ${request.target} is queued for sending. Progress is shown below.`);
+      return res.redirect('/notifications');
+    } else {
+      req.flash('error_msg', `Request approved but sending failed: ${request.error}`);
+    }
+    res.redirect(`/approvals/${request.id}`);
+  } catch (error) {
+    console.error('Error approving request:', error);
+    req.flash('error_msg', `Error approving request: ${error.message}`);
+    res.redirect(`/approvals/${req.params.id}`);
+  }
+});
+
+// POST: Reject a request with a reason
+router.post('/:id/reject', protect, sanitizeInput, validateRejection, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect(`/approvals/${req.params.id}`);
+  }
+
+  try {
+    const request = await ApprovalRequest.findByPk(req.params.id);
+
+    if (!request) {
+      req.flash('error_msg', 'Approval request not found');
+      return res.redirect('/approvals');
+    }
+
+    await rejectRequest(request, req.user, req.body.rejectionReason);
+
+    req.flash('success_msg', 'Request rejected');
+    res.redirect(`/approvals/${request.id}`);
+  } catch (error) {
+    console.error('Error rejecting request:', error);
+    req.flash('error_msg', `Error rejecting request: ${error.message}`);
+    res.redirect(`/approvals/${req.params.id}`);
+  }
+});
+
+// POST: Withdraw a pending request
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const request = await ApprovalRequest.findByPk(req.params.id);
+
+    if (!request || !(req.user.isAdmin || request.requestedBy === req.user.id)) {
+      req.flash('error_msg', 'Approval request not found');
+      return res.redirect('/approvals');
+    }
+
+    await cancelRequest(request, req.user);
+
+    req.flash('success_msg', 'Request withdrawn');
+    res.redirect('/approvals');
+  } catch (error) {
+    console.error('Error cancelling request:', error);
+    req.flash('error_msg', `Error cancelling request: ${error.message}`);
+    res.redirect(`/approvals/${req.params.id}`);
+  }
+});
+
+module.exports = router;
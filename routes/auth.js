@@ -14,6 +14,8 @@ const {
   rateLimiter
 } = require('../middleware/security');
 const { createToken } = require('../middleware/auth');
+const { getQuotaUsage, getQuotaStatus } = require('../services/quota');
+const { roleQuotas } = require('../config/quota');
 const { Op } = require('sequelize');
 
 // Initialize express-ejs-layouts for auth routes
@@ -229,13 +231,22 @@ router.get('/users', protect, async (req, res) => {
 
   try {
     const users = await User.findAll({
-      attributes: ['id', 'username', 'email', 'isAdmin', 'lastLogin', 'createdAt']
+      attributes: ['id', 'username', 'email', 'isAdmin', 'canApprove', 'dailyNotificationLimit', 'dailyRecipientLimit', 'lastLogin', 'createdAt']
     });
 
+    // Today's sends against each user's daily quota
+    const usage = await getQuotaUsage(users.map(user => user.id));
+    const quotas = {};
+    for (const user of users) {
+      quotas[user.id] = await getQuotaStatus(user, usage.get(user.id));
+    }
+
     res.render('auth/users', {
       title: 'User Management',
       activeTab: 'admin',
       users,
+      quotas,
+      roleQuotas,
       currentUser: req.user,
       messages: {
         error: req.flash('error_msg'),
@@ -263,7 +274,7 @@ router.post('/users', protect, async (req, res) => {
   }
 
   try {
-    const { name, username, email, password, isAdmin } = req.body;
+    const { name, username, email, password, isAdmin, canApprove } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ 
@@ -288,7 +299,8 @@ router.post('/users', protect, async (req, res) => {
       username,
       email,
       password,
-      isAdmin: isAdmin === 'true' || isAdmin === true
+      isAdmin: isAdmin === 'true' || isAdmin === true,
+      canApprove: canApprove === 'true' || canApprove === true
     });
 
     // Return success without password
@@ -300,7 +312,8 @@ router.post('/users', protect, async (req, res) => {
         name: user.name,
         username: user.username,
         email: user.email,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        canApprove: user.canApprove
       }
     });
   } catch (err) {
@@ -312,6 +325,88 @@ router.post('/users', protect, async (req, res) => {
   }
 });
 
+// @route   POST /auth/users/:id/approver
+// @desc    Grant or revoke approver rights (admin only)
+// @access  Private/Admin
+router.post('/users/:id/approver', protect, async (req, res) => {
+  // Check if user is admin
+  if (!req.user.isAdmin) {
+    req.flash('error_msg', 'Admin access required');
+    return res.redirect('/');
+  }
+
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      req.flash('error_msg', 'User not found');
+      return res.redirect('/auth/users');
+    }
+
+    await user.update({ canApprove: !user.canApprove });
+
+    req.flash('success_msg', `${user.username} ${user.canApprove ? 'can now approve' : 'can no longer approve'} held notifications`);
+    res.redirect('/auth/users');
+  } catch (err) {
+    console.error('Update approver error:', err);
+    req.flash('error_msg', 'Failed to update approver rights');
+    res.redirect('/auth/users');
+  }
+});
+
+// An own daily quota limit from the user form: empty for the role's quota,
+// else a whole number (0 = unlimited)
+const parseQuotaLimit = (value, label) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`${label} must be a whole number of 0 or more, or empty for the role's quota`);
+  }
+  return limit;
+};
+
+// @route   POST /auth/users/:id/quota
+// @desc    Set a user's own daily send quota (admin only)
+// @access  Private/Admin
+router.post('/users/:id/quota', protect, async (req, res) => {
+  // Check if user is admin
+  if (!req.user.isAdmin) {
+    req.flash('error_msg', 'Admin access required');
+    return res.redirect('/');
+  }
+
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      req.flash('error_msg', 'User not found');
+      return res.redirect('/auth/users');
+    }
+
+    let limits;
+    try {
+      limits = {
+        dailyNotificationLimit: parseQuotaLimit(req.body.dailyNotificationLimit, 'Notifications per day'),
+        dailyRecipientLimit: parseQuotaLimit(req.body.dailyRecipientLimit, 'Recipients per day')
+      };
+    } catch (error) {
+      req.flash('error_msg', error.message);
+      return res.redirect('/auth/users');
+    }
+
+    await user.update(limits);
+
+    req.flash('success_msg', `Daily send quota of ${user.username} updated`);
+    res.redirect('/auth/users');
+  } catch (err) {
+    console.error('Update quota error:', err);
+    req.flash('error_msg', 'Failed to update the daily send quota');
+    res.redirect('/auth/users');
+  }
+});
+
 // @route   GET /auth/register
 // @desc    Show register form (admin only)
 // @access  Private/Admin
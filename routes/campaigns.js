@@ -0,0 +1,421 @@
+const express = require('express');
+const router = express.Router();
+const Campaign = require('../models/Campaign');
+const NotificationHistory = require('../models/NotificationHistory');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const { protect } = require('../middleware/auth');
+const {
+  sanitizeInput,
+  validateNotification
+} = require('../middleware/security');
+const { body, validationResult } = require('express-validator');
+const {
+  extractNotificationPayload,
+  getComposerOptions,
+  describeTarget,
+  isFanOut,
+  resolveFanOutAccounts
+} = require('../services/messaging');
+const { checkApprovalPolicy, requestApproval, cancelRequest } = require('../services/approvals');
+const { parseCron } = require('../utils/cron');
+const { isValidTimeZone, getTimeZones, zonedTimeToUtc, formatInTimeZone } = require('../utils/timezone');
+
+// Input validation
+const validateCampaign = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Campaign name is required')
+    .isLength({ max: 100 }).withMessage('Campaign name cannot exceed 100 characters'),
+  ...validateNotification
+];
+
+// Parse and validate the schedule part of the campaign form
+const parseCampaignSchedule = (form) => {
+  const scheduleType = form.scheduleType === 'cron' ? 'cron' : 'interval';
+  const timezone = form.timezone || 'UTC';
+
+  if (!isValidTimeZone(timezone)) {
+    throw new Error('Invalid timezone');
+  }
+
+  const schedule = {
+    scheduleType,
+    timezone,
+    cronExpression: null,
+    intervalDays: null,
+    timeOfDay: null
+  };
+
+  if (scheduleType === 'cron') {
+    // parseCron throws a descriptive error for invalid expressions
+    parseCron(form.cronExpression);
+    schedule.cronExpression = form.cronExpression.trim().replace(/\s+/g, ' ');
+  } else {
+    const intervalDays = parseInt(form.intervalDays, 10);
+    if (!Number.isInteger(intervalDays) || intervalDays < 1 || intervalDays > 365) {
+      throw new Error('Interval must be between 1 and 365 days');
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(form.timeOfDay || '')) {
+      throw new Error('Time of day must be in HH:MM format');
+    }
+    schedule.intervalDays = intervalDays;
+    schedule.timeOfDay = form.timeOfDay;
+  }
+
+  schedule.startDate = zonedTimeToUtc(`${form.startDate}T00:00`, timezone);
+  if (!schedule.startDate) {
+    throw new Error('A valid start date is required');
+  }
+
+  schedule.endDate = null;
+  if (form.endDate) {
+    schedule.endDate = zonedTimeToUtc(`${form.endDate}T23:59:59`, timezone);
+    if (!schedule.endDate || schedule.endDate < schedule.startDate) {
+      throw new Error('End date must be on or after the start date');
+    }
+  }
+
+  return schedule;
+};
+
+// Only the creator or an admin may change a campaign
+const canManageCampaign = (user, campaign) => {
+  return user.isAdmin || campaign.createdBy === user.id;
+};
+
+// Campaigns go through the same approval policy as single sends: a held
+// campaign stays Pending, without runs, until another user approves it.
+// Returns the approval request, or null when the campaign may run.
+const holdForApproval = async (campaign, payload, user) => {
+  const { reasons, audienceSize } = await checkApprovalPolicy(payload);
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  campaign.set({ status: 'Pending', nextRunAt: null });
+  await campaign.save();
+
+  const request = await requestApproval(payload, { user, reasons, audienceSize, campaignId: campaign.id });
+  await campaign.update({ approvalId: request.id });
+  return request;
+};
+
+// Withdraw the request still waiting for an earlier version of the campaign
+const withdrawPendingApproval = async (campaign, user) => {
+  const request = campaign.approvalId ? await ApprovalRequest.findByPk(campaign.approvalId) : null;
+  if (request && request.status === 'Pending') {
+    await cancelRequest(request, user);
+  }
+};
+
+// Render the create/edit form
+const renderForm = async (req, res, campaign) => {
+  const { accounts, devices, topics, conditionTopics, segments } = await getComposerOptions();
+  const timezone = campaign ? campaign.timezone : 'UTC';
+
+  res.render('campaigns/form', {
+    title: campaign ? 'Edit Campaign' : 'New Campaign',
+    activeTab: 'campaigns',
+    campaign,
+    payload: campaign ? campaign.payload : {},
+    localStartDate: campaign ? formatInTimeZone(campaign.startDate, timezone).substring(0, 10) : '',
+    localEndDate: campaign && campaign.endDate ? formatInTimeZone(campaign.endDate, timezone).substring(0, 10) : '',
+    accounts,
+    devices,
+    topics,
+    conditionTopics,
+    segments,
+    timezones: getTimeZones(),
+    user: req.user,
+    csrfToken: res.locals.csrfToken || ''
+  });
+};
+
+// GET: List campaigns
+router.get('/', protect, async (req, res) => {
+  try {
+    const campaigns = await Campaign.findAll({
+      order: [['status', 'ASC'], ['nextRunAt', 'ASC']]
+    });
+
+    res.render('campaigns/index', {
+      title: 'Recurring Campaigns',
+      activeTab: 'campaigns',
+      campaigns,
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
+  } catch (error) {
+    console.error('Error loading campaigns:', error);
+    req.flash('error_msg', 'Failed to load campaigns');
+    res.redirect('/');
+  }
+});
+
+// GET: New campaign form
+router.get('/new', protect, async (req, res) => {
+  try {
+    await renderForm(req, res, null);
+  } catch (error) {
+    console.error('Error loading campaign form:', error);
+    req.flash('error_msg', 'Failed to load campaign form');
+    res.redirect('/campaigns');
+  }
+});
+
+// POST: Create a campaign
+router.post('/', protect, sanitizeInput, validateCampaign, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect('/campaigns/new');
+  }
+
+  try {
+    const payload = extractNotificationPayload(req.body);
+    const schedule = parseCampaignSchedule(req.body);
+
+    const campaign = Campaign.build({
+      name: req.body.name,
+      title: payload.title,
+      body: payload.body,
+      payload,
+      ...schedule,
+      status: 'Active',
+      createdBy: req.user.id
+    });
+
+    campaign.nextRunAt = campaign.computeNextRun(new Date());
+    if (!campaign.nextRunAt) {
+      throw new Error('The schedule has no upcoming runs before the end date');
+    }
+
+    const request = await holdForApproval(campaign, payload, req.user);
+    if (request) {
+      req.flash('info_msg', `This campaign needs approval from another user before it runs: ${request.reasons.join('; ')}`);
+      return res.redirect(`/approvals/${request.id}`);
+    }
+
+    await campaign.save();
+
+    req.flash('success_msg', `Campaign created. First run: ${campaign.nextRunAt.toLocaleString('en-US', { timeZone: campaign.timezone })} (${campaign.timezone})`);
+    res.redirect(`/campaigns/${campaign.id}`);
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    req.flash('error_msg', `Error creating campaign: ${error.message}`);
+    res.redirect('/campaigns/new');
+  }
+});
+
+// GET: Campaign details and run history
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign) {
+      req.flash('error_msg', 'Campaign not found');
+      return res.redirect('/campaigns');
+    }
+
+    const runs = await NotificationHistory.findAll({
+      where: { campaignId: campaign.id, parentId: null },
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+
+    // Preview the next few occurrences
+    const upcomingRuns = [];
+    if (campaign.status === 'Active') {
+      let next = campaign.nextRunAt;
+      while (next && upcomingRuns.length < 5) {
+        upcomingRuns.push(next);
+        next = campaign.computeNextRun(next);
+      }
+    }
+
+    // Described the same way as the runs in the notification history
+    const target = await describeTarget(campaign.payload);
+    const fanOutAccounts = isFanOut(campaign.payload) ? await resolveFanOutAccounts(campaign.payload) : null;
+
+    res.render('campaigns/show', {
+      title: 'Campaign Details',
+      activeTab: 'campaigns',
+      campaign,
+      target,
+      fanOutAccounts,
+      runs,
+      upcomingRuns,
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
+  } catch (error) {
+    console.error('Error loading campaign:', error);
+    req.flash('error_msg', 'Failed to load campaign');
+    res.redirect('/campaigns');
+  }
+});
+
+// GET: Edit campaign form
+router.get('/:id/edit', protect, async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign) {
+      req.flash('error_msg', 'Campaign not found');
+      return res.redirect('/campaigns');
+    }
+
+    if (!canManageCampaign(req.user, campaign)) {
+      req.flash('error_msg', 'You can only edit campaigns you created');
+      return res.redirect(`/campaigns/${campaign.id}`);
+    }
+
+    await renderForm(req, res, campaign);
+  } catch (error) {
+    console.error('Error loading campaign form:', error);
+    req.flash('error_msg', 'Failed to load campaign');
+    res.redirect('/campaigns');
+  }
+});
+
+// POST: Update a campaign
+router.post('/:id', protect, sanitizeInput, validateCampaign, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect(`/campaigns/${req.params.id}/edit`);
+  }
+
+  try {
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign) {
+      req.flash('error_msg', 'Campaign not found');
+      return res.redirect('/campaigns');
+    }
+
+    if (!canManageCampaign(req.user, campaign)) {
+      req.flash('error_msg', 'You can only edit campaigns you created');
+      return res.redirect(`/campaigns/${campaign.id}`);
+    }
+
+    const payload = extractNotificationPayload(req.body);
+    const schedule = parseCampaignSchedule(req.body);
+
+    campaign.set({
+      name: req.body.name,
+      title: payload.title,
+      body: payload.body,
+      payload,
+      ...schedule
+    });
+
+    // The changed campaign is checked again; an older request no longer applies
+    await withdrawPendingApproval(campaign, req.user);
+    const request = await holdForApproval(campaign, payload, req.user);
+    if (request) {
+      req.flash('info_msg', `The changed campaign needs approval from another user before it runs again: ${request.reasons.join('; ')}`);
+      return res.redirect(`/approvals/${request.id}`);
+    }
+    campaign.approvalId = null;
+
+    // Re-plan the next run; a finished campaign becomes active again if
+    // the new schedule still has runs left
+    if (campaign.status !== 'Paused') {
+      campaign.nextRunAt = campaign.computeNextRun(new Date());
+      campaign.status = campaign.nextRunAt ? 'Active' : 'Completed';
+    }
+
+    await campaign.save();
+
+    req.flash('success_msg', 'Campaign updated successfully');
+    res.redirect(`/campaigns/${campaign.id}`);
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    req.flash('error_msg', `Error updating campaign: ${error.message}`);
+    res.redirect(`/campaigns/${req.params.id}/edit`);
+  }
+});
+
+// POST: Pause a campaign
+router.post('/:id/pause', protect, async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign || !canManageCampaign(req.user, campaign)) {
+      req.flash('error_msg', 'Campaign not found');
+      return res.redirect('/campaigns');
+    }
+
+    if (campaign.status !== 'Active') {
+      req.flash('error_msg', 'Only active campaigns can be paused');
+      return res.redirect(`/campaigns/${campaign.id}`);
+    }
+
+    await campaign.update({ status: 'Paused', nextRunAt: null });
+
+    req.flash('success_msg', 'Campaign paused');
+    res.redirect(`/campaigns/${campaign.id}`);
+  } catch (error) {
+    console.error('Error pausing campaign:', error);
+    req.flash('error_msg', 'Error pausing campaign');
+    res.redirect('/campaigns');
+  }
+});
+
+// POST: Resume a paused campaign (runs missed while paused are skipped)
+router.post('/:id/resume', protect, async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign || !canManageCampaign(req.user, campaign)) {
+      req.flash('error_msg', 'Campaign not found');
+      return res.redirect('/campaigns');
+    }
+
+    if (campaign.status !== 'Paused') {
+      req.flash('error_msg', 'Only paused campaigns can be resumed');
+      return res.redirect(`/campaigns/${campaign.id}`);
+    }
+
+    const nextRunAt = campaign.computeNextRun(new Date());
+
+    if (!nextRunAt) {
+      await campaign.update({ status: 'Completed', nextRunAt: null });
+      req.flash('info_msg', 'Campaign has no runs left before its end date and was marked completed');
+      return res.redirect(`/campaigns/${campaign.id}`);
+    }
+
+    await campaign.update({ status: 'Active', nextRunAt });
+
+    req.flash('success_msg', 'Campaign resumed');
+    res.redirect(`/campaigns/${campaign.id}`);
+  } catch (error) {
+    console.error('Error resuming campaign:', error);
+    req.flash('error_msg', 'Error resuming campaign');
+    res.redirect('/campaigns');
+  }
+});
+
+// POST: Delete a campaign (its history entries are kept)
+router.post('/:id/delete', protect, async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id);
+
+    if (!campaign || !canManageCampaign(req.user, campaign)) {
+      req.flash('error_msg', 'Campaign not found');
+      return res.redirect('/campaigns');
+    }
+
+    await campaign.destroy();
+
+    req.flash('success_msg', 'Campaign deleted successfully');
+    res.redirect('/campaigns');
+  } catch (error) {
+    console.error('Error deleting campaign:', error);
+    req.flash('error_msg', 'Error deleting campaign');
+    res.redirect('/campaigns');
+  }
+});
+
+module.exports = router;
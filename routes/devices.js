@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const Device = require('../models/Device');
-const { getFirebaseAdmin } = require('../config/firebase');
 const TopicSubscription = require('../models/TopicSubscription');
+const { extractNotificationPayload, sendNotification } = require('../services/messaging');
+const { chargeSendQuota, refundSendQuota } = require('../services/quota');
+const { isDeadTokenError, describeCleanup } = require('../services/tokenCleanup');
 const { sequelize } = require('../config/database');
 const { 
   deviceOperationsRateLimiter,
@@ -53,6 +55,9 @@ router.post('/register', sanitizeInput, apiRateLimiter, deviceOperationsRateLimi
         platform: platform || existingDevice.platform,
         lastSeen: new Date(),
         isActive: true,
+        // A fresh registration means the token works again
+        needsReview: false,
+        reviewReason: null,
         metadata: metadata || existingDevice.metadata
       });
       
@@ -87,7 +92,7 @@ router.post('/:id/inactive', deviceOperationsRateLimiter, async (req, res) => {
       return res.redirect('/devices');
     }
     
-    await device.update({ isActive: false });
+    await device.update({ isActive: false, needsReview: false, reviewReason: null });
     
     req.flash('success_msg', 'Device marked as inactive');
     res.redirect('/devices');
@@ -98,8 +103,8 @@ router.post('/:id/inactive', deviceOperationsRateLimiter, async (req, res) => {
   }
 });
 
-// Send test notification to device
-router.post('/:id/test', deviceOperationsRateLimiter, async (req, res) => {
+// Clear the review flag set by dead token cleanup
+router.post('/:id/reviewed', deviceOperationsRateLimiter, async (req, res) => {
   try {
     const device = await Device.findByPk(req.params.id);
     
@@ -108,37 +113,53 @@ router.post('/:id/test', deviceOperationsRateLimiter, async (req, res) => {
       return res.redirect('/devices');
     }
     
-    // Get Firebase account
-    const firebaseAdmin = await getFirebaseAdmin();
+    await device.update({ needsReview: false, reviewReason: null });
+    
+    req.flash('success_msg', 'Device marked as reviewed');
+    res.redirect('/devices');
+  } catch (error) {
+    console.error('Error marking device as reviewed:', error);
+    req.flash('error_msg', 'Error updating device status');
+    res.redirect('/devices');
+  }
+});
+
+// Send test notification to device (or only validate its token with dryRun)
+router.post('/:id/test', deviceOperationsRateLimiter, async (req, res) => {
+  const dryRun = Boolean(req.body.dryRun);
+  
+  try {
+    const device = await Device.findByPk(req.params.id);
     
-    if (!firebaseAdmin) {
-      req.flash('error_msg', 'No valid Firebase account available');
+    if (!device) {
+      req.flash('error_msg', 'Device not found');
       return res.redirect('/devices');
     }
     
-    // Create message with timestamp to verify delivery
-    const timestamp = new Date().toISOString();
+    // Validate FCM token format before sending
+    if (!device.token || device.token.length < 100) {
+      throw new Error('FCM token appears to be invalid (too short)');
+    }
+    
+    // Timestamp in the body to verify delivery; the messaging service sends
+    // through the default account and records the history
+    const payload = extractNotificationPayload({
+      title: 'Test Notification',
+      body: `This is a test notification from FCM Dashboard (${new Date().toISOString()})`,
+      targetType: 'device',
+      deviceToken: device.token,
+      data: { type: 'test', deviceId: device.id }
+    });
+    
+    const usage = dryRun ? null : await chargeSendQuota(req.user, payload);
     
     try {
-      // Validate FCM token format before sending
-      if (!device.token || device.token.length < 100) {
-        throw new Error('FCM token appears to be invalid (too short)');
-      }
-      
-      const message = {
-        notification: {
-          title: 'Test Notification',
-          body: `This is a test notification from FCM Dashboard (${timestamp})`
-        },
-        data: {
-          timestamp: timestamp,
-          type: 'test',
-          deviceId: device.id
-        },
-        token: device.token
-      };
+      const { response } = await sendNotification(payload, { sentBy: req.user ? req.user.id : null, dryRun });
       
-      const response = await firebaseAdmin.messaging().send(message);
+      if (dryRun) {
+        req.flash('success_msg', 'Dry run: the device token is valid; nothing was delivered');
+        return res.redirect('/devices');
+      }
       
       req.flash('success_msg', `Test notification sent successfully! Message ID: ${response}`);
       
@@ -146,9 +167,16 @@ router.post('/:id/test', deviceOperationsRateLimiter, async (req, res) => {
       await device.update({ lastSeen: new Date() });
     } catch (fcmError) {
       console.error('Firebase messaging error details:', fcmError);
+      await refundSendQuota(usage);
+      
+      if (dryRun) {
+        const code = fcmError.errorInfo ? ` (Code: ${fcmError.errorInfo.code})` : '';
+        req.flash('error_msg', `Dry run: the device token is invalid: ${fcmError.message}${code}`);
+        return res.redirect('/devices');
+      }
       
       // Create more detailed error message
-      let errorMsg = `Error sending test notification: ${fcmError.message}`;
+      let errorMsg = fcmError.message;
       
       // Add Firebase specific error details if available
       if (fcmError.errorInfo) {
@@ -157,11 +185,14 @@ router.post('/:id/test', deviceOperationsRateLimiter, async (req, res) => {
         // Suggest solutions based on error code
         if (fcmError.errorInfo.code === 'messaging/invalid-argument') {
           errorMsg += '. Token may be invalid or the project may not match.';
-        } else if (fcmError.errorInfo.code === 'messaging/registration-token-not-registered') {
+        } else if (isDeadTokenError(fcmError)) {
           errorMsg += '. Device token is no longer valid.';
           
-          // Mark device as inactive if token is invalid
-          await device.update({ isActive: false });
+          // The messaging service already deactivated (or flagged) the device
+          const cleanup = describeCleanup(fcmError.cleanup);
+          if (cleanup) {
+            errorMsg += ` Cleanup: ${cleanup}.`;
+          }
         }
       }
       
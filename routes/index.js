@@ -80,7 +80,9 @@ router.get('/', protect, async (req, res) => {
       where: {
         createdAt: {
           [Op.gte]: thirtyDaysAgo
-        }
+        },
+        // A fan-out counts once, not once per account
+        parentId: null
       }
     });
 
@@ -91,7 +93,8 @@ router.get('/', protect, async (req, res) => {
       where: {
         createdAt: {
           [Op.gte]: sevenDaysAgo
-        }
+        },
+        parentId: null
       }
     });
     
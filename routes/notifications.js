@@ -1,62 +1,150 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
-const { getFirebaseAdmin } = require('../config/firebase');
-const FirebaseAccount = require('../models/FirebaseAccount');
 const Device = require('../models/Device');
 const { protect } = require('../middleware/auth');
 const { 
   notificationRateLimiter,
   expensiveOperationsRateLimiter,
-  sanitizeInput
+  sanitizeInput,
+  validateNotification,
+  validateResend
 } = require('../middleware/security');
+const { applyTemplateVariables } = require('../middleware/templates');
+const { applyIdempotencyKey } = require('../middleware/idempotency');
 const { Op } = require('sequelize');
-const { body, validationResult } = require('express-validator');
+const { sequelize } = require('../config/database');
+const { validationResult } = require('express-validator');
+const {
+  extractNotificationPayload,
+  createResendPayload,
+  checkContentOptions,
+  getComposerOptions,
+  estimateConditionAudience,
+  describeTarget,
+  sendNotification,
+  summarizeDryRun
+} = require('../services/messaging');
+const { checkApprovalPolicy, requestApproval } = require('../services/approvals');
+const { getQuotaStatus, chargeSendQuota, refundSendQuota } = require('../services/quota');
+const { FINISHED_STATUSES, jobEvents, enqueueNotification, cancelJob } = require('../services/jobQueue');
+const { isValidTimeZone, getTimeZones, zonedTimeToUtc, formatInTimeZone } = require('../utils/timezone');
+const { checkDeliveryWindow } = require('../services/deliveryWindow');
+const { quietHours, defaultRecipientTimeZone, isQuietHoursEnabled } = require('../config/deliveryWindow');
 
 // Create notification history model
 const NotificationHistory = require('../models/NotificationHistory');
+const ScheduledNotification = require('../models/ScheduledNotification');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const NotificationJob = require('../models/NotificationJob');
+const QuotaUsage = require('../models/QuotaUsage');
+const User = require('../models/User');
 
-// Input validation
-const validateNotification = [
-  body('title')
-    .trim()
-    .notEmpty().withMessage('Title is required')
-    .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters')
-    .escape(),
-  body('body')
-    .trim()
-    .notEmpty().withMessage('Body is required')
-    .isLength({ max: 1000 }).withMessage('Body cannot exceed 1000 characters')
-    .escape(),
-  body('imageUrl')
-    .optional({ checkFalsy: true })
-    .isURL().withMessage('Image URL must be a valid URL')
-];
+// Most recipients listed on the history detail page
+const DELIVERY_PAGE_LIMIT = 500;
+
+// Finished sends stay in the progress panel for this long
+const RECENT_JOB_WINDOW_MS = 60 * 60 * 1000;
+
+// Parse the schedule fields (local date/time + timezone) into a UTC send time
+const parseSchedule = ({ scheduledAt, timezone }) => {
+  const zone = timezone || 'UTC';
+
+  if (!isValidTimeZone(zone)) {
+    throw new Error('Invalid timezone');
+  }
+
+  const sendAt = zonedTimeToUtc(scheduledAt, zone);
+
+  if (!sendAt) {
+    throw new Error('A valid date and time is required');
+  }
+
+  if (sendAt <= new Date()) {
+    throw new Error('Scheduled time must be in the future');
+  }
+
+  return { sendAt, timezone: zone };
+};
+
+// Only the creator or an admin may change a scheduled notification
+const canManageScheduled = (user, scheduled) => {
+  return user.isAdmin || scheduled.createdBy === user.id;
+};
+
+// Validate a notification with FCM without delivering it and flash the result
+const reportDryRun = async (req, res, payload) => {
+  try {
+    const { history, response, targetDescription, tokenResults } = await sendNotification(payload, { sentBy: req.user.id, dryRun: true });
+
+    // Some of the accounts of a fan-out could not validate it
+    if (history.status === 'Partial') {
+      req.flash('error_msg', `Dry run failed through some accounts: ${response.replace(/\n/g, '; ')}; nothing was delivered`);
+      return res.redirect('/notifications');
+    }
+
+    const report = tokenResults ? summarizeDryRun(tokenResults) : 'Dry run: message is valid';
+    const allValid = !tokenResults || tokenResults.every(result => result.valid);
+    req.flash(allValid ? 'success_msg' : 'error_msg', `${report} (${targetDescription}); nothing was delivered`);
+    res.redirect('/notifications');
+  } catch (error) {
+    console.error('Error validating notification:', error);
+    req.flash('error_msg', `Dry run failed: ${error.message}`);
+    res.redirect('/notifications');
+  }
+};
 
 // GET: Display notification form
 router.get('/', protect, async (req, res) => {
   try {
-    // Get Firebase accounts for selection
-    const accounts = await FirebaseAccount.findAll({
-      where: { isActive: true },
-      attributes: ['id', 'name', 'isDefault'],
-      order: [['name', 'ASC']]
-    });
+    const { accounts, devices, topics, templates, conditionTopics, segments, locales } = await getComposerOptions();
+    
+    // Fill the composer from a notification in history (?clone=<id>)
+    let clone = null;
+    if (req.query.clone) {
+      const original = await NotificationHistory.findByPk(req.query.clone);
+      if (!original || !original.payload) {
+        req.flash('error_msg', original
+          ? 'This notification was sent before payloads were kept with the history, so it cannot be cloned'
+          : 'Notification not found');
+        return res.redirect('/notifications');
+      }
+      clone = { originId: original.id, originTitle: original.title, payload: original.payload };
+    }
     
     // Get notification history
+    // Per-account entries of a fan-out are listed on their parent's page
     const history = await NotificationHistory.findAll({
+      where: { parentId: null },
       order: [['createdAt', 'DESC']],
       limit: 20
     });
     
-    // Get all active devices for device selection
-    const devices = await Device.findAll({
-      where: { isActive: true },
-      attributes: ['id', 'name', 'platform', 'token'],
-      order: [['name', 'ASC']]
+    // Count notifications still waiting to be sent
+    const scheduledCount = await ScheduledNotification.count({
+      where: { status: 'Scheduled' }
     });
     
-    // Get topics from active devices (for now just use platform as topics)
-    const topics = [...new Set(devices.map(device => device.platform).filter(Boolean))];
+    // Queued and running sends, plus the latest finished ones
+    const jobs = await NotificationJob.findAll({
+      where: {
+        [Op.or]: [
+          { status: { [Op.notIn]: FINISHED_STATUSES } },
+          { finishedAt: { [Op.gte]: new Date(Date.now() - RECENT_JOB_WINDOW_MS) } }
+        ]
+      },
+      order: [['createdAt', 'DESC']],
+      limit: 10
+    });
+    
+    // Count sends waiting for a second person's approval
+    const pendingApprovalCount = await ApprovalRequest.count({
+      where: { status: 'Pending' }
+    });
+    
+    // What is left of the user's daily send quota
+    const quota = await getQuotaStatus(req.user);
     
     // Check if any Firebase accounts exist
     const hasFirebaseAccounts = accounts.length > 0;
@@ -71,9 +159,23 @@ router.get('/', protect, async (req, res) => {
       devices,
       topics,
       accounts,
+      templates,
+      conditionTopics,
+      segments,
+      locales,
+      clone,
       defaultAccount,
       hasFirebaseAccounts,
       history,
+      jobs,
+      scheduledCount,
+      pendingApprovalCount,
+      quota,
+      timezones: getTimeZones(),
+      quietHours: isQuietHoursEnabled() ? quietHours : null,
+      defaultRecipientTimeZone,
+      // Sent with the form so a repeated submission is not sent twice
+      idempotencyKey: crypto.randomUUID(),
       user: req.user,
       csrfToken: res.locals.csrfToken || ''
     });
@@ -84,301 +186,232 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// POST: Send a notification
-router.post('/', protect, sanitizeInput, notificationRateLimiter, expensiveOperationsRateLimiter, validateNotification, async (req, res) => {
+// GET: Validate a topic condition and estimate its audience for the builder
+router.get('/condition-estimate', protect, async (req, res) => {
+  try {
+    const { topics, audience, unknownTopics } = await estimateConditionAudience(req.query.condition);
+    res.json({ success: true, topics, audience, unknownTopics });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// POST: Send (or schedule) a notification
+router.post('/', protect, sanitizeInput, notificationRateLimiter, expensiveOperationsRateLimiter, applyIdempotencyKey('/notifications'), applyTemplateVariables, validateNotification, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
     return res.redirect('/notifications');
   }
 
-  // Get form data
-  const { 
-    title, 
-    body, 
-    imageUrl, 
-    targetType, 
-    deviceToken, 
-    topic, 
-    clickAction, 
-    highPriority, 
-    silent,
-    accountId // Get the selected account ID
-  } = req.body;
+  const payload = extractNotificationPayload(req.body);
+
+  try {
+    checkDeliveryWindow(payload);
+  } catch (error) {
+    req.flash('error_msg', error.message);
+    return res.redirect('/notifications');
+  }
+
+  // Validate only: nothing is delivered, so approval and scheduling don't apply
+  if (req.body.dryRun) {
+    return reportDryRun(req, res, payload);
+  }
+
+  // Check the send time before anything is counted or held
+  let schedule = null;
+  if (req.body.scheduleLater) {
+    try {
+      schedule = parseSchedule(req.body);
+    } catch (error) {
+      req.flash('error_msg', `Error scheduling notification: ${error.message}`);
+      return res.redirect('/notifications');
+    }
+  }
+
+  // Counts against the sender's daily quota, whether sent, scheduled or held
+  let usage;
+  try {
+    usage = await chargeSendQuota(req.user, payload);
+  } catch (error) {
+    req.flash('error_msg', error.message);
+    return res.redirect('/notifications');
+  }
 
+  // Hold large or sensitive sends until another user approves them
   try {
-    // Find selected Firebase account or use default if not specified
-    let firebaseAccount;
-    if (accountId) {
-      firebaseAccount = await FirebaseAccount.findByPk(accountId);
-    } else {
-      firebaseAccount = await FirebaseAccount.findOne({ where: { isDefault: true } });
+    const { reasons, audienceSize } = await checkApprovalPolicy(payload);
+
+    if (reasons.length > 0) {
+      const request = await requestApproval(payload, { user: req.user, reasons, audienceSize, quotaUsageId: usage.id, ...schedule });
+
+      req.flash('info_msg', `This notification needs approval from another user before it is sent: ${reasons.join('; ')}`);
+      return res.redirect(`/approvals/${request.id}`);
     }
+  } catch (error) {
+    console.error('Error submitting notification for approval:', error);
+    await refundSendQuota(usage);
+    req.flash('error_msg', `Error submitting notification for approval: ${error.message}`);
+    return res.redirect('/notifications');
+  }
 
-    if (!firebaseAccount) {
-      req.flash('error_msg', 'No Firebase account selected or available');
+  // Store the notification for later if a send time was picked
+  if (schedule) {
+    try {
+      const { sendAt, timezone } = schedule;
+
+      await ScheduledNotification.create({
+        title: payload.title,
+        body: payload.body,
+        payload,
+        sendAt,
+        timezone,
+        createdBy: req.user.id,
+        idempotencyKey: payload.idempotencyKey,
+        quotaUsageId: usage.id
+      });
+
+      req.flash('success_msg', `Notification scheduled for ${sendAt.toLocaleString('en-US', { timeZone: timezone })} (${timezone})`);
+      return res.redirect('/notifications/scheduled');
+    } catch (error) {
+      await refundSendQuota(usage);
+      req.flash('error_msg', `Error scheduling notification: ${error.message}`);
       return res.redirect('/notifications');
     }
+  }
 
-    // Create notification payload
-    const message = {
-      notification: {
-        title: title,
-        body: body,
-        imageUrl: imageUrl || ""
-      },
-      data: {
-        title: title,
-        body: body,
-        imageUrl: imageUrl || "",
-        timestamp: Date.now().toString()
-      },
-      android: {
-        priority: highPriority ? 'high' : 'normal',
-        notification: {
-          clickAction: clickAction || undefined
-        }
-      },
-      apns: {
-        payload: {
-          aps: {
-            contentAvailable: Boolean(silent)
-          }
-        },
-        fcmOptions: {
-          imageUrl: imageUrl || undefined
-        }
-      },
-      webpush: {
-        notification: {
-          icon: imageUrl || undefined
-        }
-      }
-    };
+  // Hand the send to the background workers and return right away
+  try {
+    const job = await enqueueNotification(payload, { sentBy: req.user.id });
 
-    // If it's a silent notification, remove the notification object
-    if (silent) {
-      delete message.notification;
+    if (req.xhr || req.headers['x-requested-with'] === 'XMLHttpRequest') {
+      return res.status(202).json({ success: true, jobId: job.id });
     }
 
-    // Add click action if provided
-    if (clickAction) {
-      message.webpush.fcmOptions = { link: clickAction };
+    req.flash('success_msg', `Notification queued for sending (job ${job.id}). Progress is shown below.`);
+    res.redirect('/notifications');
+  } catch (error) {
+    console.error('Error queueing notification:', error);
+    await refundSendQuota(usage);
+    req.flash('error_msg', `Error sending notification: ${error.message}`);
+    res.redirect('/notifications');
+  }
+});
+
+// GET: Progress of a queued send
+router.get('/jobs/:id', protect, async (req, res) => {
+  try {
+    const job = await NotificationJob.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
     }
 
-    // Get Firebase Admin SDK for the selected account
-    const firebaseAdmin = await getFirebaseAdmin(firebaseAccount.id);
+    res.json({ success: true, job: job.toProgress() });
+  } catch (error) {
+    console.error('Error loading notification job:', error);
+    res.status(500).json({ success: false, message: 'Failed to load job' });
+  }
+});
+
+// POST: Emergency stop for a queued or running send. The sender, admins and
+// approvers may cancel; recipients already reached are kept in the history.
+router.post('/jobs/:id/cancel', protect, async (req, res) => {
+  try {
+    const job = await NotificationJob.findByPk(req.params.id);
 
-    if (!firebaseAdmin) {
-      throw new Error(`Firebase Admin not initialized for account: ${firebaseAccount.name}`);
+    if (!job) {
+      req.flash('error_msg', 'Send not found');
+      return res.redirect('/notifications');
     }
 
-    // Get account name for history
-    let accountName = 'Default';
-    if (firebaseAccount) {
-      accountName = firebaseAccount.name;
+    if (job.createdBy !== req.user.id && !req.user.isApprover()) {
+      req.flash('error_msg', 'You can only cancel notifications you sent');
+      return res.redirect('/notifications');
     }
 
-    let response;
-    let targetDescription;
-    // Determine target type and send accordingly
-    if (targetType === 'device' && deviceToken) {
-      // Add the token to the message
-      message.token = deviceToken;
-      response = await firebaseAdmin.messaging().send(message);
-      targetDescription = `Device: ${(deviceToken && typeof deviceToken === 'string') ? deviceToken.substring(0, 12) : 'Unknown'}...`;
-    } else if (targetType === 'topic' && topic) {
-      // Add the topic to the message
-      message.topic = topic;
-      response = await firebaseAdmin.messaging().send(message);
-      targetDescription = `Topic: ${topic}`;
-    } else {
-      // Send to all devices (multicast)
-      const devices = await Device.findAll({
-        where: { isActive: true },
-        attributes: ['token']
-      });
-      
-      if (devices.length === 0) {
-        throw new Error('No active devices found to send notification');
-      }
-      
-      const tokens = devices.map(device => device.token);
-      
-      // For multicast, we need to send to each device individually (sendAll isn't available)
-      let successCount = 0;
-      let failureCount = 0;
-      const batchResponse = { successCount: 0, failureCount: 0, responses: [] };
-      
-      // Send messages in batches of 500 (FCM limit)
-      const BATCH_SIZE = 500;
-      
-      // Process in batches
-      for (let i = 0; i < tokens.length; i += BATCH_SIZE) {
-        const batch = tokens.slice(i, i + BATCH_SIZE);
-        const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
-        const totalBatches = Math.ceil(tokens.length / BATCH_SIZE);
-        
-        // Create a multicast message
-        const multicastMessage = {
-          tokens: batch,
-          notification: message.notification,
-          data: message.data,
-          android: message.android,
-          webpush: message.webpush,
-          apns: message.apns
-        };
-        
-        try {
-          // Send the multicast message using sendEachForMulticast instead of sendMulticast
-          const batchResult = await firebaseAdmin.messaging().sendEachForMulticast(multicastMessage);
-          
-          // Add to overall results
-          batchResponse.successCount += batchResult.successCount;
-          batchResponse.failureCount += batchResult.failureCount;
-
-          // Process and log errors for failed messages
-          if (batchResult.responses) {
-            const failedMessages = batchResult.responses
-              .map((resp, index) => {
-                if (!resp.success) {
-                  return {
-                    token: batch[index],
-                    error: resp.error.code,
-                    errorMessage: resp.error.message
-                  };
-                }
-                return null;
-              })
-              .filter(Boolean);
-
-            if (failedMessages.length > 0) {
-              // Group errors by error code for efficient logging
-              const errorSummary = failedMessages.reduce((acc, curr) => {
-                const key = curr.error;
-                if (!acc[key]) {
-                  acc[key] = {
-                    count: 0,
-                    message: curr.errorMessage,
-                    tokens: []
-                  };
-                }
-                acc[key].count++;
-                // Store only first few tokens for each error type to avoid memory issues
-                if (acc[key].tokens.length < 5) {
-                  acc[key].tokens.push(curr.token.substring(0, 12) + '...');
-                }
-                return acc;
-              }, {});
-            }
-
-            batchResponse.responses = [...batchResponse.responses, ...batchResult.responses];
-          }
-        } catch (batchError) {
-          console.error(`Batch ${batchNumber}/${totalBatches} failed completely: ${batchError.message}`);
-          batchResponse.failureCount += batch.length;
-        }
-      }
-      
-      // Create a detailed response message
-      const errorSummary = batchResponse.responses
-        .reduce((acc, resp, index) => {
-          if (!resp.success) {
-            const errorCode = resp.error.code;
-            if (!acc[errorCode]) {
-              acc[errorCode] = {
-                count: 0,
-                message: resp.error.message
-              };
-            }
-            acc[errorCode].count++;
-          }
-          return acc;
-        }, {});
-
-      let detailedResponse = `${batchResponse.successCount} sent, ${batchResponse.failureCount} failed`;
-      if (batchResponse.failureCount > 0) {
-        detailedResponse += '\nError Summary:';
-        Object.entries(errorSummary).forEach(([code, data]) => {
-          detailedResponse += `\n- ${code} (${data.count} devices): ${data.message}`;
-        });
-      }
+    await cancelJob(job, req.user);
 
-      response = detailedResponse;
-      targetDescription = `All Devices (${tokens.length})`;
-    }
-    
-    // Add to notification history
-    await NotificationHistory.create({
-      title,
-      body,
-      target: targetDescription,
-      status: 'Success',
-      messageId: response,
-      sentBy: req.user.id,
-      accountId: accountId || null,
-      accountName,
-      data: JSON.stringify({
-        imageUrl,
-        targetType,
-        response
-      })
-    });
-    
-    req.flash('success_msg', `Notification sent to ${targetDescription} successfully`);
+    req.flash('success_msg', job.status === 'Cancelled'
+      ? 'Queued notification cancelled before anything was sent'
+      : 'Stopping the send; batches already dispatched are kept in the history');
     res.redirect('/notifications');
   } catch (error) {
-    console.error('Error sending notification:', error);
-    
-    // Add to notification history
-    await NotificationHistory.create({
-      title: req.body.title || 'Unknown',
-      body: req.body.body || 'Unknown',
-      target: 'Unknown',
-      status: 'Failed',
-      error: error.message,
-      sentBy: req.user.id,
-      accountId: req.body.accountId || null,
-      accountName: req.body.accountId ? 'Custom' : 'Default',
-      data: JSON.stringify({
-        error: error.message,
-        imageUrl: req.body.imageUrl
-      })
-    });
-    
-    req.flash('error_msg', `Error sending notification: ${error.message}`);
+    console.error('Error cancelling notification job:', error);
+    req.flash('error_msg', `Could not cancel the send: ${error.message}`);
     res.redirect('/notifications');
   }
 });
 
+// GET: Live progress of a queued send as server-sent events. The stream ends
+// with the event that reports the job as finished.
+router.get('/jobs/:id/events', protect, async (req, res) => {
+  let job;
+  try {
+    job = await NotificationJob.findByPk(req.params.id);
+  } catch (error) {
+    console.error('Error loading notification job:', error);
+    return res.status(500).end();
+  }
+
+  if (!job) {
+    return res.status(404).end();
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (progress) => {
+    res.write(`event: progress\ndata: ${JSON.stringify(progress)}\n\n`);
+  };
+
+  const close = () => {
+    jobEvents.off('progress', onProgress);
+    clearInterval(keepAlive);
+    res.end();
+  };
+
+  const onProgress = (progress) => {
+    if (progress.id !== job.id) return;
+    send(progress);
+    if (FINISHED_STATUSES.includes(progress.status)) {
+      close();
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+
+  jobEvents.on('progress', onProgress);
+  req.on('close', close);
+
+  send(job.toProgress());
+  if (FINISHED_STATUSES.includes(job.status)) {
+    close();
+  }
+});
+
 // POST: Send notification to specific devices
-router.post('/send-devices', protect, validateNotification, async (req, res) => {
+router.post('/send-devices', protect, sanitizeInput, notificationRateLimiter, applyIdempotencyKey('/notifications'), validateNotification, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     req.flash('error_msg', errors.array()[0].msg);
     return res.redirect('/notifications');
   }
   
+  let usage = null;
   try {
-    const { title, body, deviceIds, customTokens, imageUrl, accountId } = req.body;
+    const { deviceIds, customTokens } = req.body;
     
     if ((!deviceIds || deviceIds.length === 0) && (!customTokens || (typeof customTokens === 'string' ? customTokens.trim() : '') === '')) {
       req.flash('error_msg', 'At least one device must be selected or tokens must be provided');
       return res.redirect('/notifications');
     }
     
-    // Get the appropriate Firebase admin instance
-    const firebaseAdmin = await getFirebaseAdmin(accountId);
-    
-    // Get account name for history
-    let accountName = 'Default';
-    if (accountId) {
-      const account = await FirebaseAccount.findByPk(accountId);
-      if (account) {
-        accountName = account.name;
-      }
-    }
-    
     // Collect device tokens
     let deviceTokens = [];
     
@@ -415,91 +448,405 @@ router.post('/send-devices', protect, validateNotification, async (req, res) =>
       return res.redirect('/notifications');
     }
     
-    // Prepare notification message
-    const message = {
-      notification: {
-        title,
-        body,
-      },
-      data: {
-        timestamp: Date.now().toString(),
-        title,
-        body,
-        type: 'direct'
-      },
-      android: {
-        notification: {
-          icon: 'ic_notification',
-          color: '#3c6382',
-          clickAction: 'FLUTTER_NOTIFICATION_CLICK',
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-          },
-        },
-        fcmOptions: {
-          imageUrl: imageUrl || undefined,
-        },
-      },
-      webpush: {
-        notification: {
-          icon: '/img/icon.png',
-          badge: '/img/badge.png',
-        },
+    const payload = { ...extractNotificationPayload({ ...req.body, platformDefaults: 'devices' }), targetType: 'devices', deviceTokens };
+    checkDeliveryWindow(payload);
+    
+    if (req.body.dryRun) {
+      return reportDryRun(req, res, payload);
+    }
+    
+    usage = await chargeSendQuota(req.user, payload);
+    
+    // Same approval policy as the composer
+    const { reasons, audienceSize } = await checkApprovalPolicy(payload);
+    if (reasons.length > 0) {
+      const request = await requestApproval(payload, { user: req.user, reasons, audienceSize, quotaUsageId: usage.id });
+      
+      req.flash('info_msg', `This notification needs approval from another user before it is sent: ${reasons.join('; ')}`);
+      return res.redirect(`/approvals/${request.id}`);
+    }
+    
+    const job = await enqueueNotification(payload, { sentBy: req.user.id });
+    
+    if (req.xhr || req.headers['x-requested-with'] === 'XMLHttpRequest') {
+      return res.status(202).json({ success: true, jobId: job.id });
+    }
+    
+    req.flash('success_msg', `Notification to ${deviceTokens.length} device(s) queued for sending (job ${job.id}). Progress is shown below.`);
+    res.redirect('/notifications');
+  } catch (error) {
+    console.error('Error sending notification to devices:', error);
+    await refundSendQuota(usage);
+    req.flash('error_msg', `Error sending notification: ${error.message}`);
+    res.redirect('/notifications');
+  }
+});
+
+// GET: List scheduled notifications
+router.get('/scheduled', protect, async (req, res) => {
+  try {
+    const upcoming = await ScheduledNotification.findAll({
+      where: { status: { [Op.in]: ['Scheduled', 'Sending'] } },
+      order: [['sendAt', 'ASC']]
+    });
+    
+    const past = await ScheduledNotification.findAll({
+      where: { status: { [Op.notIn]: ['Scheduled', 'Sending'] } },
+      order: [['updatedAt', 'DESC']],
+      limit: 50
+    });
+    
+    // Described the same way as the notification history
+    const targets = {};
+    for (const item of upcoming) {
+      targets[item.id] = await describeTarget(item.payload);
+    }
+    
+    res.render('notifications/scheduled', {
+      title: 'Scheduled Notifications',
+      activeTab: 'notifications',
+      upcoming,
+      past,
+      targets,
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
+  } catch (error) {
+    console.error('Error loading scheduled notifications:', error);
+    req.flash('error_msg', 'Failed to load scheduled notifications');
+    res.redirect('/notifications');
+  }
+});
+
+// GET: Edit a scheduled notification
+router.get('/scheduled/:id/edit', protect, async (req, res) => {
+  try {
+    const scheduled = await ScheduledNotification.findByPk(req.params.id);
+    
+    if (!scheduled || scheduled.status !== 'Scheduled') {
+      req.flash('error_msg', 'Scheduled notification not found or already processed');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    if (!canManageScheduled(req.user, scheduled)) {
+      req.flash('error_msg', 'You can only edit notifications you scheduled');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    const { accounts, devices, topics, conditionTopics, segments } = await getComposerOptions();
+    
+    res.render('notifications/scheduled-edit', {
+      title: 'Edit Scheduled Notification',
+      activeTab: 'notifications',
+      scheduled,
+      payload: scheduled.payload,
+      localSendAt: formatInTimeZone(scheduled.sendAt, scheduled.timezone),
+      accounts,
+      devices,
+      topics,
+      conditionTopics,
+      segments,
+      timezones: getTimeZones(),
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
+  } catch (error) {
+    console.error('Error loading scheduled notification:', error);
+    req.flash('error_msg', 'Failed to load scheduled notification');
+    res.redirect('/notifications/scheduled');
+  }
+});
+
+// POST: Update a scheduled notification
+router.post('/scheduled/:id', protect, sanitizeInput, validateNotification, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect(`/notifications/scheduled/${req.params.id}/edit`);
+  }
+  
+  try {
+    const scheduled = await ScheduledNotification.findByPk(req.params.id);
+    
+    if (!scheduled || scheduled.status !== 'Scheduled') {
+      req.flash('error_msg', 'Scheduled notification not found or already processed');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    if (!canManageScheduled(req.user, scheduled)) {
+      req.flash('error_msg', 'You can only edit notifications you scheduled');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    // Approved content must not change after review
+    if (scheduled.approvalId) {
+      req.flash('error_msg', 'Approved notifications cannot be edited; cancel it and submit a new one instead');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    // Keep the original submission's key so a retry of it still matches once sent
+    const payload = { ...extractNotificationPayload(req.body), idempotencyKey: scheduled.idempotencyKey || null };
+    const { sendAt, timezone } = parseSchedule(req.body);
+    checkDeliveryWindow(payload);
+    
+    const { reasons } = await checkApprovalPolicy(payload);
+    if (reasons.length > 0) {
+      req.flash('error_msg', `This change needs approval (${reasons.join('; ')}); cancel this notification and send it again from the composer`);
+      return res.redirect(`/notifications/scheduled/${scheduled.id}/edit`);
+    }
+    
+    // The edited notification replaces the original's charge against the
+    // creator's daily quota; over the quota, the original is kept as it was
+    const creator = scheduled.createdBy === req.user.id ? req.user : await User.findByPk(scheduled.createdBy);
+    const previousUsage = scheduled.quotaUsageId ? await QuotaUsage.findByPk(scheduled.quotaUsageId) : null;
+    const restorePreviousUsage = async () => {
+      if (previousUsage) {
+        await QuotaUsage.create(previousUsage.get({ plain: true }));
       }
     };
+    
+    await refundSendQuota(previousUsage);
+    let usage = null;
+    try {
+      usage = await chargeSendQuota(creator || req.user, payload);
+    } catch (error) {
+      await restorePreviousUsage();
+      req.flash('error_msg', error.message);
+      return res.redirect(`/notifications/scheduled/${scheduled.id}/edit`);
+    }
+    
+    // Only update while the scheduler has not picked it up yet
+    const [updated] = await ScheduledNotification.update({
+      title: payload.title,
+      body: payload.body,
+      payload,
+      sendAt,
+      timezone,
+      quotaUsageId: usage.id
+    }, {
+      where: { id: scheduled.id, status: 'Scheduled' }
+    });
+    
+    if (!updated) {
+      await refundSendQuota(usage);
+      await restorePreviousUsage();
+      req.flash('error_msg', 'Notification is already being sent and can no longer be edited');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    req.flash('success_msg', 'Scheduled notification updated successfully');
+    res.redirect('/notifications/scheduled');
+  } catch (error) {
+    console.error('Error updating scheduled notification:', error);
+    req.flash('error_msg', `Error updating scheduled notification: ${error.message}`);
+    res.redirect(`/notifications/scheduled/${req.params.id}/edit`);
+  }
+});
+
+// POST: Cancel a scheduled notification
+router.post('/scheduled/:id/cancel', protect, async (req, res) => {
+  try {
+    const scheduled = await ScheduledNotification.findByPk(req.params.id);
+    
+    if (!scheduled) {
+      req.flash('error_msg', 'Scheduled notification not found');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    if (!canManageScheduled(req.user, scheduled)) {
+      req.flash('error_msg', 'You can only cancel notifications you scheduled');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    const [cancelled] = await ScheduledNotification.update(
+      { status: 'Cancelled' },
+      { where: { id: scheduled.id, status: 'Scheduled' } }
+    );
+    
+    if (!cancelled) {
+      req.flash('error_msg', 'Notification has already been sent or cancelled');
+      return res.redirect('/notifications/scheduled');
+    }
+    
+    // It will not go out, so it no longer counts against the daily quota
+    await refundSendQuota(scheduled.quotaUsageId);
+    
+    req.flash('success_msg', 'Scheduled notification cancelled');
+    res.redirect('/notifications/scheduled');
+  } catch (error) {
+    console.error('Error cancelling scheduled notification:', error);
+    req.flash('error_msg', 'Error cancelling scheduled notification');
+    res.redirect('/notifications/scheduled');
+  }
+});
 
-    // Send multicast message
-    const response = await firebaseAdmin.messaging().sendEachForMulticast({
-      tokens: deviceTokens,
-      ...message,
+// GET: Notification history entry with its per-recipient deliveries
+router.get('/history/:id', protect, async (req, res) => {
+  try {
+    const history = await NotificationHistory.findByPk(req.params.id);
+    
+    if (!history) {
+      req.flash('error_msg', 'Notification not found');
+      return res.redirect('/notifications');
+    }
+    
+    // A notification sent through several accounts has an entry per account;
+    // its own page covers the recipients of all of them
+    const parent = history.parentId
+      ? await NotificationHistory.findByPk(history.parentId, { attributes: ['id', 'title', 'createdAt'] })
+      : null;
+    const children = await NotificationHistory.findAll({
+      where: { parentId: history.id },
+      attributes: ['id', 'accountId', 'accountName', 'status', 'target', 'error', 'createdAt'],
+      order: [['createdAt', 'ASC']]
     });
+    const historyIds = [history.id, ...children.map(child => child.id)];
     
-    // Add to notification history
-    await NotificationHistory.create({
-      title,
-      body,
-      target: `${deviceTokens.length} device(s)`,
-      status: `Success: ${response.successCount}, Failed: ${response.failureCount}`,
-      sentBy: req.user.id,
-      accountId: accountId || null,
-      accountName,
-      data: JSON.stringify({
-        imageUrl,
-        deviceCount: deviceTokens.length,
-        successCount: response.successCount,
-        failureCount: response.failureCount,
-        responses: response.responses
-      })
+    const outcome = ['success', 'failed', 'retried'].includes(req.query.outcome) ? req.query.outcome : 'all';
+    const where = { historyId: historyIds };
+    if (outcome === 'retried') {
+      where.attempts = { [Op.gt]: 1 };
+    } else if (outcome !== 'all') {
+      where.success = outcome === 'success';
+    }
+    
+    const deliveries = await NotificationDelivery.findAll({
+      where,
+      order: [['success', 'ASC'], ['sentAt', 'ASC']],
+      limit: DELIVERY_PAGE_LIMIT
     });
     
-    req.flash('success_msg', `Notification sent to ${response.successCount} device(s) successfully! Failed: ${response.failureCount}`);
-    res.redirect('/notifications');
+    const counts = {
+      success: await NotificationDelivery.count({ where: { historyId: historyIds, success: true } }),
+      failed: await NotificationDelivery.count({ where: { historyId: historyIds, success: false } }),
+      retried: await NotificationDelivery.count({ where: { historyId: historyIds, attempts: { [Op.gt]: 1 } } }),
+      recovered: await NotificationDelivery.count({ where: { historyId: historyIds, success: true, attempts: { [Op.gt]: 1 } } }),
+      opened: await NotificationDelivery.count({ where: { historyId: historyIds, openedAt: { [Op.ne]: null } } })
+    };
+    counts.all = counts.success + counts.failed;
+    
+    // Recipients, deliveries and opens per variant of an A/B experiment
+    let variantStats = [];
+    const experiment = history.data && history.data.experiment;
+    if (experiment) {
+      const countByVariant = async (filter) => {
+        const rows = await NotificationDelivery.count({ where: { historyId: historyIds, ...filter }, group: ['variant'] });
+        return Object.fromEntries(rows.map(row => [row.variant, row.count]));
+      };
+      const recipients = await countByVariant({});
+      const delivered = await countByVariant({ success: true });
+      const opened = await countByVariant({ openedAt: { [Op.ne]: null } });
+      
+      variantStats = experiment.variants.map(variant => ({
+        ...variant,
+        recipients: recipients[variant.key] || 0,
+        delivered: delivered[variant.key] || 0,
+        opened: opened[variant.key] || 0,
+        openRate: delivered[variant.key] ? (opened[variant.key] || 0) / delivered[variant.key] : null
+      }));
+    }
+    
+    // Failures grouped by FCM error code
+    const errorCodes = await NotificationDelivery.findAll({
+      where: { historyId: historyIds, success: false },
+      attributes: ['errorCode', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['errorCode'],
+      raw: true
+    });
+    
+    // The notification this one was resent or cloned from, and its own resends
+    const origin = history.originId
+      ? await NotificationHistory.findByPk(history.originId, { attributes: ['id', 'title', 'createdAt'] })
+      : null;
+    const resends = await NotificationHistory.findAll({
+      where: { originId: history.id },
+      attributes: ['id', 'title', 'status', 'target', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit: 20
+    });
+    
+    // Accounts and targets offered by the resend form
+    const resendOptions = history.payload ? await getComposerOptions() : null;
+    
+    // Names of the registered devices among the recipients
+    const deviceIds = [...new Set(deliveries.map(delivery => delivery.deviceId).filter(Boolean))];
+    const devices = await Device.findAll({
+      where: { id: { [Op.in]: deviceIds } },
+      attributes: ['id', 'name', 'platform']
+    });
+    
+    res.render('notifications/history-detail', {
+      title: 'Notification Details',
+      activeTab: 'notifications',
+      history,
+      deliveries,
+      counts,
+      errorCodes,
+      variantStats,
+      outcome,
+      devicesById: Object.fromEntries(devices.map(device => [device.id, device])),
+      origin,
+      resends,
+      parent,
+      children,
+      resendOptions,
+      idempotencyKey: crypto.randomUUID(),
+      limit: DELIVERY_PAGE_LIMIT,
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
   } catch (error) {
-    console.error('Error sending notification to devices:', error);
+    console.error('Error loading notification details:', error);
+    req.flash('error_msg', 'Failed to load notification details');
+    res.redirect('/notifications');
+  }
+});
+
+// POST: Send a notification from history again, to its own target and account
+// or to the ones picked on the detail page
+router.post('/history/:id/resend', protect, sanitizeInput, notificationRateLimiter, expensiveOperationsRateLimiter, applyIdempotencyKey('/notifications'), validateResend, async (req, res) => {
+  const detailUrl = `/notifications/history/${encodeURIComponent(req.params.id)}`;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect(detailUrl);
+  }
+  
+  let usage = null;
+  try {
+    const original = await NotificationHistory.findByPk(req.params.id);
     
-    // Add to notification history
-    await NotificationHistory.create({
-      title: req.body.title || 'Unknown',
-      body: req.body.body || 'Unknown',
-      target: 'Selected devices',
-      status: 'Failed',
-      error: error.message,
-      sentBy: req.user.id,
-      accountId: req.body.accountId || null,
-      accountName: req.body.accountId ? 'Custom' : 'Default',
-      data: JSON.stringify({
-        error: error.message,
-        imageUrl: req.body.imageUrl
-      })
+    if (!original) {
+      req.flash('error_msg', 'Notification not found');
+      return res.redirect('/notifications');
+    }
+    
+    const payload = createResendPayload(original, {
+      accountId: req.body.accountId,
+      target: req.body.target,
+      idempotencyKey: req.body.idempotencyKey
     });
+    checkDeliveryWindow(payload);
+    checkContentOptions(payload);
+    usage = await chargeSendQuota(req.user, payload);
     
-    req.flash('error_msg', `Error sending notification: ${error.message}`);
+    // A resend goes through the same approval policy as a new send
+    const { reasons, audienceSize } = await checkApprovalPolicy(payload);
+    if (reasons.length > 0) {
+      const request = await requestApproval(payload, { user: req.user, reasons, audienceSize, quotaUsageId: usage.id });
+      req.flash('info_msg', `This notification needs approval from another user before it is sent: ${reasons.join('; ')}`);
+      return res.redirect(`/approvals/${request.id}`);
+    }
+    
+    const job = await enqueueNotification(payload, { sentBy: req.user.id });
+    
+    req.flash('success_msg', `Notification queued for resending (job ${job.id}). Progress is shown below.`);
     res.redirect('/notifications');
+  } catch (error) {
+    console.error('Error resending notification:', error);
+    await refundSendQuota(usage);
+    req.flash('error_msg', `Error resending notification: ${error.message}`);
+    res.redirect(detailUrl);
   }
 });
 
@@ -512,6 +859,7 @@ router.post('/clear-history', protect, async (req, res) => {
       return res.redirect('/notifications');
     }
     
+    await NotificationDelivery.destroy({ where: {} });
     await NotificationHistory.destroy({ where: {} });
     
     req.flash('success_msg', 'Notification history cleared successfully');
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const Segment = require('../models/Segment');
+const Topic = require('../models/Topic');
+const { protect } = require('../middleware/auth');
+const { sanitizeInput } = require('../middleware/security');
+const { body, validationResult } = require('express-validator');
+const { SEGMENT_FIELDS, OPERATOR_LABELS, parseSegmentRules } = require('../utils/segmentRules');
+const { countSegmentDevices } = require('../services/segments');
+
+// Input validation
+const validateSegment = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Segment name is required')
+    .isLength({ max: 100 }).withMessage('Segment name cannot exceed 100 characters'),
+  body('description')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters'),
+  body('rules')
+    .custom(value => {
+      parseSegmentRules(value);
+      return true;
+    })
+];
+
+// Build the segment attributes from the submitted form
+const parseSegmentForm = (form) => ({
+  name: form.name,
+  description: form.description || null,
+  rules: parseSegmentRules(form.rules)
+});
+
+// Only the creator or an admin may change a segment
+const canManageSegment = (user, segment) => {
+  return user.isAdmin || segment.createdBy === user.id;
+};
+
+// Render the create/edit form
+const renderForm = async (req, res, segment) => {
+  const topics = await Topic.findAll({
+    where: { isActive: true },
+    attributes: ['name'],
+    order: [['name', 'ASC']]
+  });
+
+  res.render('segments/form', {
+    title: segment ? 'Edit Segment' : 'New Segment',
+    activeTab: 'segments',
+    segment,
+    fields: SEGMENT_FIELDS,
+    operatorLabels: OPERATOR_LABELS,
+    topics: topics.map(topic => topic.name),
+    user: req.user,
+    csrfToken: res.locals.csrfToken || ''
+  });
+};
+
+// GET: List segments with their current size
+router.get('/', protect, async (req, res) => {
+  try {
+    const segments = await Segment.findAll({
+      order: [['name', 'ASC']]
+    });
+
+    const counts = {};
+    for (const segment of segments) {
+      counts[segment.id] = await countSegmentDevices(segment.rules);
+    }
+
+    res.render('segments/index', {
+      title: 'Audience Segments',
+      activeTab: 'segments',
+      segments,
+      counts,
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
+  } catch (error) {
+    console.error('Error loading segments:', error);
+    req.flash('error_msg', 'Failed to load segments');
+    res.redirect('/');
+  }
+});
+
+// GET: New segment form
+router.get('/new', protect, async (req, res) => {
+  try {
+    await renderForm(req, res, null);
+  } catch (error) {
+    console.error('Error loading segment form:', error);
+    req.flash('error_msg', 'Failed to load segment form');
+    res.redirect('/segments');
+  }
+});
+
+// GET: Live device count for the rule builder
+router.get('/preview', protect, async (req, res) => {
+  try {
+    const rules = parseSegmentRules(req.query.rules);
+    res.json({ success: true, count: await countSegmentDevices(rules) });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// POST: Create a segment
+router.post('/', protect, sanitizeInput, validateSegment, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect('/segments/new');
+  }
+
+  try {
+    const attributes = parseSegmentForm(req.body);
+
+    const existingSegment = await Segment.findOne({ where: { name: attributes.name } });
+    if (existingSegment) {
+      req.flash('error_msg', 'A segment with that name already exists');
+      return res.redirect('/segments/new');
+    }
+
+    await Segment.create({
+      ...attributes,
+      createdBy: req.user.id
+    });
+
+    req.flash('success_msg', 'Segment created successfully');
+    res.redirect('/segments');
+  } catch (error) {
+    console.error('Error creating segment:', error);
+    req.flash('error_msg', `Error creating segment: ${error.message}`);
+    res.redirect('/segments/new');
+  }
+});
+
+// GET: Edit segment form
+router.get('/:id/edit', protect, async (req, res) => {
+  try {
+    const segment = await Segment.findByPk(req.params.id);
+
+    if (!segment) {
+      req.flash('error_msg', 'Segment not found');
+      return res.redirect('/segments');
+    }
+
+    if (!canManageSegment(req.user, segment)) {
+      req.flash('error_msg', 'You can only edit segments you created');
+      return res.redirect('/segments');
+    }
+
+    await renderForm(req, res, segment);
+  } catch (error) {
+    console.error('Error loading segment form:', error);
+    req.flash('error_msg', 'Failed to load segment');
+    res.redirect('/segments');
+  }
+});
+
+// POST: Update a segment
+router.post('/:id', protect, sanitizeInput, validateSegment, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect(`/segments/${req.params.id}/edit`);
+  }
+
+  try {
+    const segment = await Segment.findByPk(req.params.id);
+
+    if (!segment) {
+      req.flash('error_msg', 'Segment not found');
+      return res.redirect('/segments');
+    }
+
+    if (!canManageSegment(req.user, segment)) {
+      req.flash('error_msg', 'You can only edit segments you created');
+      return res.redirect('/segments');
+    }
+
+    const attributes = parseSegmentForm(req.body);
+
+    if (attributes.name !== segment.name) {
+      const existingSegment = await Segment.findOne({ where: { name: attributes.name } });
+      if (existingSegment) {
+        req.flash('error_msg', 'A segment with that name already exists');
+        return res.redirect(`/segments/${segment.id}/edit`);
+      }
+    }
+
+    await segment.update(attributes);
+
+    req.flash('success_msg', 'Segment updated successfully');
+    res.redirect('/segments');
+  } catch (error) {
+    console.error('Error updating segment:', error);
+    req.flash('error_msg', `Error updating segment: ${error.message}`);
+    res.redirect(`/segments/${req.params.id}/edit`);
+  }
+});
+
+// POST: Delete a segment
+router.post('/:id/delete', protect, async (req, res) => {
+  try {
+    const segment = await Segment.findByPk(req.params.id);
+
+    if (!segment || !canManageSegment(req.user, segment)) {
+      req.flash('error_msg', 'Segment not found');
+      return res.redirect('/segments');
+    }
+
+    await segment.destroy();
+
+    req.flash('success_msg', 'Segment deleted successfully');
+    res.redirect('/segments');
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    req.flash('error_msg', 'Error deleting segment');
+    res.redirect('/segments');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const NotificationTemplate = require('../models/NotificationTemplate');
+const { protect } = require('../middleware/auth');
+const { sanitizeInput } = require('../middleware/security');
+const { body, validationResult } = require('express-validator');
+const { parseCustomData, parsePlatformOptions } = require('../utils/messageOptions');
+const { isRecipientPlaceholder } = require('../utils/placeholders');
+
+// Input validation. Template text is stored unescaped so placeholders and
+// special characters survive the round trip into the composer; the views
+// escape it on output.
+const validateTemplate = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Template name is required')
+    .isLength({ max: 100 }).withMessage('Template name cannot exceed 100 characters'),
+  body('description')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters'),
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  body('body')
+    .trim()
+    .notEmpty().withMessage('Body is required')
+    .isLength({ max: 1000 }).withMessage('Body cannot exceed 1000 characters'),
+  body(['imageUrl', 'clickAction'])
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 500 }).withMessage('URLs cannot exceed 500 characters')
+];
+
+// Build the template attributes from the submitted form
+const parseTemplateForm = (form) => ({
+  name: form.name,
+  description: form.description || null,
+  title: form.title,
+  body: form.body,
+  imageUrl: form.imageUrl || null,
+  clickAction: form.clickAction || null,
+  highPriority: Boolean(form.highPriority),
+  silent: Boolean(form.silent),
+  // Both throw a descriptive error for malformed JSON
+  data: parseCustomData(form.data),
+  platformOptions: parsePlatformOptions(form.platformOptions)
+});
+
+// Only the creator or an admin may change a template
+const canManageTemplate = (user, template) => {
+  return user.isAdmin || template.createdBy === user.id;
+};
+
+// Render the create/edit form
+const renderForm = (req, res, template) => {
+  res.render('templates/form', {
+    title: template ? 'Edit Template' : 'New Template',
+    activeTab: 'templates',
+    template,
+    user: req.user,
+    csrfToken: res.locals.csrfToken || ''
+  });
+};
+
+// GET: List templates
+router.get('/', protect, async (req, res) => {
+  try {
+    const templates = await NotificationTemplate.findAll({
+      order: [['name', 'ASC']]
+    });
+
+    res.render('templates/index', {
+      title: 'Notification Templates',
+      activeTab: 'templates',
+      templates,
+      user: req.user,
+      csrfToken: res.locals.csrfToken || ''
+    });
+  } catch (error) {
+    console.error('Error loading templates:', error);
+    req.flash('error_msg', 'Failed to load templates');
+    res.redirect('/');
+  }
+});
+
+// GET: New template form
+router.get('/new', protect, (req, res) => {
+  renderForm(req, res, null);
+});
+
+// POST: Create a template
+router.post('/', protect, sanitizeInput, validateTemplate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect('/templates/new');
+  }
+
+  try {
+    const attributes = parseTemplateForm(req.body);
+
+    const existingTemplate = await NotificationTemplate.findOne({ where: { name: attributes.name } });
+    if (existingTemplate) {
+      req.flash('error_msg', 'A template with that name already exists');
+      return res.redirect('/templates/new');
+    }
+
+    await NotificationTemplate.create({
+      ...attributes,
+      createdBy: req.user.id
+    });
+
+    req.flash('success_msg', 'Template created successfully');
+    res.redirect('/templates');
+  } catch (error) {
+    console.error('Error creating template:', error);
+    req.flash('error_msg', `Error creating template: ${error.message}`);
+    res.redirect('/templates/new');
+  }
+});
+
+// GET: Template content for the send forms
+router.get('/:id.json', protect, async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    res.json({
+      success: true,
+      template: {
+        id: template.id,
+        name: template.name,
+        title: template.title,
+        body: template.body,
+        imageUrl: template.imageUrl || '',
+        clickAction: template.clickAction || '',
+        highPriority: template.highPriority,
+        silent: template.silent,
+        data: template.data,
+        platformOptions: template.platformOptions,
+        // Per-device placeholders are filled in when sending, not by the sender
+        variables: template.variables.filter(name => !isRecipientPlaceholder(name)),
+        recipientVariables: template.variables.filter(isRecipientPlaceholder)
+      }
+    });
+  } catch (error) {
+    console.error('Error loading template:', error);
+    res.status(500).json({ success: false, message: 'Failed to load template' });
+  }
+});
+
+// GET: Edit template form
+router.get('/:id/edit', protect, async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      req.flash('error_msg', 'Template not found');
+      return res.redirect('/templates');
+    }
+
+    if (!canManageTemplate(req.user, template)) {
+      req.flash('error_msg', 'You can only edit templates you created');
+      return res.redirect('/templates');
+    }
+
+    renderForm(req, res, template);
+  } catch (error) {
+    console.error('Error loading template form:', error);
+    req.flash('error_msg', 'Failed to load template');
+    res.redirect('/templates');
+  }
+});
+
+// POST: Update a template
+router.post('/:id', protect, sanitizeInput, validateTemplate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array().map(e => e.msg).join(', '));
+    return res.redirect(`/templates/${req.params.id}/edit`);
+  }
+
+  try {
+    const template = await NotificationTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      req.flash('error_msg', 'Template not found');
+      return res.redirect('/templates');
+    }
+
+    if (!canManageTemplate(req.user, template)) {
+      req.flash('error_msg', 'You can only edit templates you created');
+      return res.redirect('/templates');
+    }
+
+    const attributes = parseTemplateForm(req.body);
+
+    if (attributes.name !== template.name) {
+      const existingTemplate = await NotificationTemplate.findOne({ where: { name: attributes.name } });
+      if (existingTemplate) {
+        req.flash('error_msg', 'A template with that name already exists');
+        return res.redirect(`/templates/${template.id}/edit`);
+      }
+    }
+
+    await template.update(attributes);
+
+    req.flash('success_msg', 'Template updated successfully');
+    res.redirect('/templates');
+  } catch (error) {
+    console.error('Error updating template:', error);
+    req.flash('error_msg', `Error updating template: ${error.message}`);
+    res.redirect(`/templates/${req.params.id}/edit`);
+  }
+});
+
+// POST: Delete a template
+router.post('/:id/delete', protect, async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findByPk(req.params.id);
+
+    if (!template || !canManageTemplate(req.user, template)) {
+      req.flash('error_msg', 'Template not found');
+      return res.redirect('/templates');
+    }
+
+    await template.destroy();
+
+    req.flash('success_msg', 'Template deleted successfully');
+    res.redirect('/templates');
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    req.flash('error_msg', 'Error deleting template');
+    res.redirect('/templates');
+  }
+});
+
+module.exports = router;
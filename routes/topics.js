@@ -1,17 +1,25 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
-const { getFirebaseAdmin, initializeFirebaseAccount } = require('../config/firebase');
+const { getFirebaseAdmin } = require('../config/firebase');
 const Topic = require('../models/Topic');
 const Device = require('../models/Device');
 const TopicSubscription = require('../models/TopicSubscription');
-const NotificationHistory = require('../models/NotificationHistory');
-const FirebaseAccount = require('../models/FirebaseAccount');
+const NotificationTemplate = require('../models/NotificationTemplate');
 const { 
   topicOperationsRateLimiter,
   notificationRateLimiter,
   expensiveOperationsRateLimiter,
-  sanitizeInput
+  sanitizeInput,
+  validateNotification
 } = require('../middleware/security');
+const { applyTemplateVariables } = require('../middleware/templates');
+const { applyIdempotencyKey } = require('../middleware/idempotency');
+const { validationResult } = require('express-validator');
+const { extractNotificationPayload, sendNotification } = require('../services/messaging');
+const { checkApprovalPolicy, requestApproval } = require('../services/approvals');
+const { chargeSendQuota, refundSendQuota } = require('../services/quota');
+const { hasPlaceholders, hasRecipientPlaceholders } = require('../utils/placeholders');
 
 // Helper function to initialize default topic
 const initializeDefaultTopic = async () => {
@@ -54,6 +62,12 @@ router.get('/', async (req, res) => {
       limit: 10
     });
     
+    // Templates that can be loaded into the send form
+    const templates = await NotificationTemplate.findAll({
+      attributes: ['id', 'name'],
+      order: [['name', 'ASC']]
+    });
+    
     // Format subscriptions for display
     const formattedSubscriptions = recentSubscriptions.map(subscription => {
       return {
@@ -73,6 +87,9 @@ router.get('/', async (req, res) => {
       topics: topics.map(topic => topic.name),
       topicsData: topics,
       subscriptions: formattedSubscriptions,
+      templates,
+      // Sent with the form so a repeated submission is not sent twice
+      idempotencyKey: crypto.randomUUID(),
       csrfToken: res.locals.csrfToken || ''
     });
   } catch (error) {
@@ -84,6 +101,8 @@ router.get('/', async (req, res) => {
       topics: [],
       topicsData: [],
       subscriptions: [],
+      templates: [],
+      idempotencyKey: crypto.randomUUID(),
       csrfToken: res.locals.csrfToken || ''
     });
   }
@@ -123,15 +142,41 @@ router.post('/create', sanitizeInput, topicOperationsRateLimiter, async (req, re
 });
 
 // POST: Send notification to a specific topic
-router.post('/send-notification', sanitizeInput, notificationRateLimiter, expensiveOperationsRateLimiter, async (req, res) => {
+router.post('/send-notification', sanitizeInput, notificationRateLimiter, expensiveOperationsRateLimiter, applyIdempotencyKey('/topics'), applyTemplateVariables, validateNotification, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error_msg', errors.array()[0].msg);
+    return res.redirect('/topics');
+  }
+  
+  const dryRun = Boolean(req.body.dryRun);
+  let usage = null;
+  
   try {
-    const { title, body, topic, imageUrl, accountId } = req.body;
+    const { title, body, topic, clickAction } = req.body;
+    
+    if (!topic) {
+      req.flash('error_msg', 'Topic is required');
+      return res.redirect('/topics');
+    }
+    
+    const templateFields = [title, body, clickAction, req.body.data, req.body.platformOptions, req.body.platformOverrides];
+    
+    // Topic subscribers are unknown here, so nothing can be rendered per device
+    if (templateFields.some(hasRecipientPlaceholders)) {
+      req.flash('error_msg', 'Per-device placeholders such as {{device.name}} cannot be used when sending to a topic');
+      return res.redirect('/topics');
+    }
     
-    if (!title || !body || !topic) {
-      req.flash('error_msg', 'Title, body, and topic are required');
+    if (templateFields.some(hasPlaceholders)) {
+      req.flash('error_msg', 'Fill in all template variables before sending');
       return res.redirect('/topics');
     }
     
+    // Custom data and platform options come from a loaded template, the
+    // platform overrides from the form; invalid values are rejected here
+    const payload = extractNotificationPayload({ ...req.body, targetType: 'topic', platformDefaults: 'topic' });
+    
     // Check if topic exists
     const existingTopic = await Topic.findOne({ where: { name: topic, isActive: true } });
     if (!existingTopic) {
@@ -139,86 +184,33 @@ router.post('/send-notification', sanitizeInput, notificationRateLimiter, expens
       return res.redirect('/topics');
     }
     
-    // Get Firebase Admin instance - use specified account or default
-    const firebaseAdmin = accountId 
-      ? await getFirebaseAdmin(accountId) 
-      : await getFirebaseAdmin();
-    
-    if (!firebaseAdmin) {
-      req.flash('error_msg', 'No valid Firebase account available for sending notifications');
-      return res.redirect('/topics');
+    // Quota and approval only apply to sends that deliver something
+    if (!dryRun) {
+      usage = await chargeSendQuota(req.user, payload);
     }
     
-    // Prepare notification message
-    const message = {
-      notification: {
-        title,
-        body,
-      },
-      data: {
-        timestamp: Date.now().toString(),
-        title,
-        body,
-        topic,
-        type: 'topic'
-      },
-      android: {
-        notification: {
-          icon: 'ic_notification',
-          color: '#3498db',
-          clickAction: 'FLUTTER_NOTIFICATION_CLICK',
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-          },
-        },
-        fcmOptions: {
-          imageUrl: imageUrl || undefined,
-        },
-      },
-      webpush: {
-        notification: {
-          icon: '/img/icon.png',
-          badge: '/img/badge.png',
-        },
-      },
-      topic // Target topic
-    };
-
-    // Send the message using the same method used for normal notifications
-    const response = await firebaseAdmin.messaging().send(message);
+    // Hold large or sensitive sends until another user approves them
+    const { reasons, audienceSize } = dryRun ? { reasons: [] } : await checkApprovalPolicy(payload);
     
-    // Add to notification history if model exists
-    if (typeof NotificationHistory !== 'undefined') {
-      try {
-        await NotificationHistory.create({
-          title,
-          body,
-          target: `Topic: ${topic}`,
-          status: 'Sent',
-          sentBy: req.user ? req.user.id : null,
-          accountId: accountId || null,
-          accountName: accountId ? (await FirebaseAccount.findByPk(accountId))?.name || 'Unknown' : 'Default',
-          data: JSON.stringify({
-            imageUrl,
-            topic,
-            messageId: response
-          })
-        });
-      } catch (historyError) {
-        console.error('Failed to record notification history:', historyError);
-      }
+    if (reasons.length > 0) {
+      const request = await requestApproval(payload, { user: req.user, reasons, audienceSize, quotaUsageId: usage.id });
+      req.flash('info_msg', `This notification needs approval from another user before it is sent: ${reasons.join('; ')}`);
+      return res.redirect(`/approvals/${request.id}`);
     }
     
-    req.flash('success_msg', `Notification sent to topic "${(topic && typeof topic === 'string') ? topic.replace(/[<>"'&]/g, '') : 'Unknown'}" successfully`);
+    // The messaging service resolves the account, sends with retries within
+    // the account's throughput caps and records the history
+    await sendNotification(payload, { sentBy: req.user ? req.user.id : null, dryRun });
+    
+    const topicLabel = topic.replace(/[<>"'&]/g, '');
+    req.flash('success_msg', dryRun
+      ? `Dry run: message for topic "${topicLabel}" is valid; nothing was delivered`
+      : `Notification sent to topic "${topicLabel}" successfully`);
     res.redirect('/topics');
   } catch (error) {
     console.error('Error sending topic notification:', error);
-    req.flash('error_msg', `Error sending notification: ${error.message}`);
+    await refundSendQuota(usage);
+    req.flash('error_msg', dryRun ? `Dry run failed: ${error.message}` : `Error sending notification: ${error.message}`);
     res.redirect('/topics');
   }
 });
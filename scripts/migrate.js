@@ -6,6 +6,14 @@ const Device = require('../models/Device');
 const NotificationHistory = require('../models/NotificationHistory');
 const Topic = require('../models/Topic');
 const TopicSubscription = require('../models/TopicSubscription');
+const ScheduledNotification = require('../models/ScheduledNotification');
+const Campaign = require('../models/Campaign');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const Segment = require('../models/Segment');
+const NotificationJob = require('../models/NotificationJob');
+const QuotaUsage = require('../models/QuotaUsage');
 
 async function migrate() {
   try {
@@ -12,6 +12,8 @@ const { doubleCsrf } = require('csrf-csrf');
 const { initializeAllFirebaseAccounts } = require('./config/firebase');
 const { initializeDatabase } = require('./config/database');
 const { protect } = require('./middleware/auth');
+const { startScheduler } = require('./services/scheduler');
+const { startJobQueue } = require('./services/jobQueue');
 
 // Initialize Express
 const app = express();
@@ -19,7 +21,11 @@ const PORT = process.env.PORT || 3000;
 
 // Initialize Database
 initializeDatabase()
-  .then(() => console.log('Database initialized'))
+  .then(() => {
+    console.log('Database initialized');
+    // Start dispatching scheduled notifications and queued sends once tables exist
+    return Promise.all([startScheduler(), startJobQueue()]);
+  })
   .catch(err => console.error('Database initialization error:', err));
 
 app.set('trust proxy', 1);
@@ -129,6 +135,10 @@ const notificationsRoutes = require('./routes/notifications');
 const topicsRoutes = require('./routes/topics');
 const devicesRoutes = require('./routes/devices');
 const accountsRoutes = require('./routes/accounts');
+const campaignsRoutes = require('./routes/campaigns');
+const templatesRoutes = require('./routes/templates');
+const approvalsRoutes = require('./routes/approvals');
+const segmentsRoutes = require('./routes/segments');
 const authRoutes = require('./routes/auth');
 
 // Auth routes - simplified CSRF handling
@@ -150,6 +160,10 @@ app.use('/notifications', protectedRoutes, notificationsRoutes);
 app.use('/topics', protectedRoutes, topicsRoutes);
 app.use('/devices', protectedRoutes, devicesRoutes);
 app.use('/accounts', protectedRoutes, accountsRoutes);
+app.use('/campaigns', protectedRoutes, campaignsRoutes);
+app.use('/templates', protectedRoutes, templatesRoutes);
+app.use('/approvals', protectedRoutes, approvalsRoutes);
+app.use('/segments', protectedRoutes, segmentsRoutes);
 
 // Root redirect to login if not authenticated
 app.get('/', (req, res, next) => {
@@ -0,0 +1,322 @@
+const { Op } = require('sequelize');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ScheduledNotification = require('../models/ScheduledNotification');
+const Campaign = require('../models/Campaign');
+const NotificationJob = require('../models/NotificationJob');
+const { approvalPolicy, isApprovalEnabled } = require('../config/approval');
+const {
+  estimateAudience,
+  describeTarget,
+  resolveAccount,
+  isFanOut,
+  resolveFanOutAccounts
+} = require('./messaging');
+const { FINISHED_STATUSES, jobEvents, getJobOutcome, enqueueNotification } = require('./jobQueue');
+const { parseCondition } = require('../utils/condition');
+const { refundSendQuota } = require('./quota');
+
+// Check a payload against the approval policy. Returns the reasons approval
+// is required (empty when the notification may be sent directly).
+const checkApprovalPolicy = async (payload) => {
+  if (!isApprovalEnabled()) {
+    return { reasons: [], audienceSize: null };
+  }
+
+  const reasons = [];
+  const audienceSize = await estimateAudience(payload);
+
+  if (approvalPolicy.minAudience > 0 && audienceSize >= approvalPolicy.minAudience) {
+    reasons.push(`Audience of ${audienceSize} devices reaches the approval threshold of ${approvalPolicy.minAudience}`);
+  }
+
+  if (payload.targetType === 'topic' && approvalPolicy.topics.includes(payload.topic)) {
+    reasons.push(`Topic "${payload.topic}" requires approval`);
+  }
+
+  // A condition reaches the subscribers of every topic it names
+  if (payload.targetType === 'condition' && payload.condition) {
+    parseCondition(payload.condition).topics
+      .filter(topic => approvalPolicy.topics.includes(topic))
+      .forEach(topic => reasons.push(`Topic "${topic}" requires approval`));
+  }
+
+  if (approvalPolicy.accounts.length > 0) {
+    // A fan-out needs approval when any of its accounts does
+    const accounts = isFanOut(payload)
+      ? await resolveFanOutAccounts(payload)
+      : [await resolveAccount(payload.accountId)].filter(Boolean);
+    accounts
+      .filter(account => approvalPolicy.accounts.includes(account.id) || approvalPolicy.accounts.includes(account.name))
+      .forEach(account => reasons.push(`Firebase account "${account.name}" requires approval`));
+  }
+
+  return { reasons, audienceSize };
+};
+
+// Hold a notification (or a recurring campaign) until another user approves it
+const requestApproval = async (payload, { user, reasons, audienceSize, sendAt = null, timezone = null, campaignId = null, quotaUsageId = null }) => {
+  const request = ApprovalRequest.build({
+    title: payload.title,
+    body: payload.body,
+    payload,
+    target: await describeTarget(payload),
+    audienceSize: audienceSize || 0,
+    reasons,
+    sendAt,
+    timezone,
+    requestedBy: user.id,
+    campaignId,
+    quotaUsageId,
+    idempotencyKey: payload.idempotencyKey || null,
+    expiresAt: new Date(Date.now() + approvalPolicy.expiryHours * 60 * 60 * 1000)
+  });
+
+  request.addTrailEntry('requested', user, reasons.join('; '));
+  await request.save();
+
+  return request;
+};
+
+// Store the outcome of an approved send on the request and copy the
+// approval trail onto the notification history entry
+const recordDispatch = async (request, { history = null, error = null }) => {
+  if (error) {
+    request.addTrailEntry('failed', null, error.message);
+    request.set({ status: 'Failed', error: error.message });
+  } else {
+    request.addTrailEntry('sent', null, history.target);
+    request.set({ status: 'Sent', error: null });
+  }
+
+  request.historyId = history ? history.id : null;
+  await request.save();
+
+  if (history) {
+    const data = history.data && typeof history.data === 'object' ? history.data : {};
+    history.data = {
+      ...data,
+      approval: {
+        id: request.id,
+        trail: request.trail
+      }
+    };
+    await history.save();
+  }
+};
+
+// Claim a pending request for a state change. The conditional update makes
+// sure two reviewers (or the expiry job) can never act on it twice.
+const claimPending = async (request, changes, extraWhere = {}) => {
+  const [claimed] = await ApprovalRequest.update(changes, {
+    where: { id: request.id, status: 'Pending', ...extraWhere }
+  });
+
+  if (claimed) {
+    await request.reload();
+  }
+
+  return Boolean(claimed);
+};
+
+// Start the runs of an approved campaign. Only the version the request was
+// made for is activated; an edit since then asked for a new approval.
+const activateCampaign = async (request) => {
+  const campaign = await Campaign.findByPk(request.campaignId);
+
+  if (!campaign || campaign.status !== 'Pending' || campaign.approvalId !== request.id) {
+    request.addTrailEntry('failed', null, 'The campaign was changed or deleted after this request');
+    await request.update({ status: 'Failed', error: 'The campaign was changed or deleted after this request', trail: request.trail });
+    return request;
+  }
+
+  const nextRunAt = campaign.computeNextRun(new Date());
+  await campaign.update({ status: nextRunAt ? 'Active' : 'Completed', nextRunAt });
+
+  request.addTrailEntry('activated', null, nextRunAt
+    ? `First run: ${nextRunAt.toLocaleString('en-US', { timeZone: campaign.timezone })} (${campaign.timezone})`
+    : 'No runs left before the end date');
+  await request.save();
+  return request;
+};
+
+// Hand an approved request to the background workers; its outcome is
+// recorded once the job finishes
+const queueApprovedSend = async (request) => {
+  const job = await enqueueNotification(request.payload, {
+    sentBy: request.requestedBy,
+    approvalId: request.id
+  });
+  request.addTrailEntry('queued', null, `Job ${job.id}`);
+  await request.save();
+  return job;
+};
+
+// Approve a pending request and queue it, schedule it when the requested
+// delivery time is still ahead, or activate the campaign it holds
+const approveRequest = async (request, reviewer) => {
+  if (!reviewer.isApprover()) {
+    throw new Error('You do not have approver rights');
+  }
+
+  if (request.requestedBy === reviewer.id) {
+    throw new Error('Requests must be approved by a different user');
+  }
+
+  const now = new Date();
+  const claimed = await claimPending(request, {
+    status: 'Approved',
+    reviewedBy: reviewer.id,
+    reviewedAt: now
+  }, {
+    expiresAt: { [Op.gt]: now }
+  });
+
+  if (!claimed) {
+    throw new Error('This request is no longer pending');
+  }
+
+  request.addTrailEntry('approved', reviewer);
+
+  if (request.campaignId) {
+    return activateCampaign(request);
+  }
+
+  if (request.sendAt && request.sendAt > now) {
+    const scheduled = await ScheduledNotification.create({
+      title: request.title,
+      body: request.body,
+      payload: request.payload,
+      sendAt: request.sendAt,
+      timezone: request.timezone || 'UTC',
+      createdBy: request.requestedBy,
+      approvalId: request.id,
+      quotaUsageId: request.quotaUsageId
+    });
+
+    request.addTrailEntry('scheduled', null, `${request.sendAt.toLocaleString('en-US', { timeZone: scheduled.timezone })} (${scheduled.timezone})`);
+    await request.update({ status: 'Scheduled', scheduledId: scheduled.id, trail: request.trail });
+    return request;
+  }
+
+  await request.save();
+
+  try {
+    await queueApprovedSend(request);
+  } catch (error) {
+    console.error(`Approved notification ${request.id} could not be queued: ${error.message}`);
+    await recordDispatch(request, { error });
+  }
+
+  return request;
+};
+
+// Reject a pending request with a reason
+const rejectRequest = async (request, reviewer, reason) => {
+  if (!reviewer.isApprover()) {
+    throw new Error('You do not have approver rights');
+  }
+
+  const claimed = await claimPending(request, {
+    status: 'Rejected',
+    reviewedBy: reviewer.id,
+    reviewedAt: new Date(),
+    rejectionReason: reason
+  });
+
+  if (!claimed) {
+    throw new Error('This request is no longer pending');
+  }
+
+  request.addTrailEntry('rejected', reviewer, reason);
+  await request.save();
+  await refundSendQuota(request.quotaUsageId);
+  return request;
+};
+
+// Withdraw a pending request
+const cancelRequest = async (request, user) => {
+  const claimed = await claimPending(request, { status: 'Cancelled' });
+
+  if (!claimed) {
+    throw new Error('This request is no longer pending');
+  }
+
+  request.addTrailEntry('cancelled', user);
+  await request.save();
+  await refundSendQuota(request.quotaUsageId);
+  return request;
+};
+
+// Mark pending requests past their expiry time as expired
+const expireStaleRequests = async () => {
+  const stale = await ApprovalRequest.findAll({
+    where: {
+      status: 'Pending',
+      expiresAt: { [Op.lte]: new Date() }
+    }
+  });
+
+  for (const request of stale) {
+    if (await claimPending(request, { status: 'Expired' })) {
+      request.addTrailEntry('expired', null, `Not reviewed within ${approvalPolicy.expiryHours} hour(s)`);
+      await request.save();
+      await refundSendQuota(request.quotaUsageId);
+    }
+  }
+
+  return stale.length;
+};
+
+// Called by the scheduler when an approved, scheduled notification could not be queued
+const recordScheduledDispatch = async (approvalId, outcome) => {
+  const request = await ApprovalRequest.findByPk(approvalId);
+  if (request) {
+    await recordDispatch(request, outcome);
+  }
+};
+
+// Record the outcome of an approved send (immediate or scheduled) on its request
+const settleApprovedJob = async (job) => {
+  const request = await ApprovalRequest.findByPk(job.approvalId);
+  if (request && ['Approved', 'Scheduled'].includes(request.status)) {
+    await recordDispatch(request, await getJobOutcome(job));
+  }
+};
+
+jobEvents.on('finished', (job) => {
+  if (job.approvalId) {
+    settleApprovedJob(job).catch(error => console.error(`Error recording approved send ${job.approvalId}:`, error));
+  }
+});
+
+// After a restart: record sends that finished while nobody listened and
+// queue approved requests the server stopped before queueing
+const resumeApprovedSends = async () => {
+  const requests = await ApprovalRequest.findAll({
+    where: { status: { [Op.in]: ['Approved', 'Scheduled'] }, campaignId: null }
+  });
+
+  for (const request of requests) {
+    const job = await NotificationJob.findOne({
+      where: { approvalId: request.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (job && FINISHED_STATUSES.includes(job.status)) {
+      await settleApprovedJob(job);
+    } else if (!job && request.status === 'Approved') {
+      await queueApprovedSend(request);
+    }
+  }
+};
+
+module.exports = {
+  checkApprovalPolicy,
+  requestApproval,
+  approveRequest,
+  rejectRequest,
+  cancelRequest,
+  expireStaleRequests,
+  recordScheduledDispatch,
+  resumeApprovedSends
+};
@@ -0,0 +1,73 @@
+const NotificationDelivery = require('../models/NotificationDelivery');
+
+// FCM error code of a failed send, falling back to the message
+const getErrorCode = (error) => {
+  if (!error) return null;
+  return (error.errorInfo && error.errorInfo.code) || error.code || null;
+};
+
+// "projects/<id>/messages/0:123%abc" -> "0:123%abc", the ID the app gets
+const toAppMessageId = (messageId) => {
+  if (!messageId) return null;
+  const separator = messageId.lastIndexOf('/messages/');
+  return separator === -1 ? messageId : messageId.slice(separator + '/messages/'.length);
+};
+
+// One delivery per recipient ({ id, token }) from the matching send response.
+// variantOf maps tokens to the experiment variant they were sent.
+const buildDeliveries = (recipients, responses, variantOf = null) => {
+  const sentAt = new Date();
+
+  return recipients.map((recipient, index) => {
+    const resp = responses[index] || { success: false, error: { message: 'No response received' } };
+    return {
+      deviceId: recipient.id || null,
+      token: recipient.token || null,
+      success: resp.success,
+      messageId: resp.success ? resp.messageId || null : null,
+      appMessageId: resp.success ? toAppMessageId(resp.messageId) : null,
+      errorCode: resp.success ? null : getErrorCode(resp.error),
+      errorMessage: resp.success ? null : resp.error.message || null,
+      attempts: resp.attempts || 1,
+      variant: variantOf ? variantOf.get(recipient.token) || null : null,
+      sentAt
+    };
+  });
+};
+
+// Delivery for a single send() call that resolved with a message id or threw
+const buildSingleDelivery = (recipient, { messageId = null, error = null, attempts = 1 }) => ({
+  deviceId: (recipient && recipient.id) || null,
+  token: (recipient && recipient.token) || null,
+  success: !error,
+  messageId: error ? null : messageId,
+  appMessageId: error ? null : toAppMessageId(messageId),
+  errorCode: getErrorCode(error),
+  errorMessage: error ? error.message : null,
+  attempts: attempts || 1,
+  sentAt: new Date()
+});
+
+// Store the deliveries of a notification history entry. Failures are only
+// logged so a bookkeeping problem never hides the send outcome.
+const recordDeliveries = async (history, deliveries) => {
+  if (!history || !deliveries || deliveries.length === 0) {
+    return;
+  }
+
+  try {
+    await NotificationDelivery.bulkCreate(
+      deliveries.map(delivery => ({ ...delivery, historyId: history.id }))
+    );
+  } catch (error) {
+    console.error(`Failed to record deliveries for notification ${history.id}:`, error);
+  }
+};
+
+module.exports = {
+  getErrorCode,
+  toAppMessageId,
+  buildDeliveries,
+  buildSingleDelivery,
+  recordDeliveries
+};
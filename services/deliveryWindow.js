@@ -0,0 +1,112 @@
+const { parseTimeOfDay, quietHours, defaultRecipientTimeZone, isQuietHoursEnabled } = require('../config/deliveryWindow');
+const { isValidTimeZone, getZonedParts, getNextLocalTime } = require('../utils/timezone');
+
+// Targets whose recipients are known device by device
+const PER_DEVICE_TARGETS = ['all', 'segment'];
+
+// Whether a payload asks for per-device delivery timing
+const hasDeliveryWindow = (payload) => Boolean(payload.localDeliveryTime || payload.respectQuietHours);
+
+// Check a payload's delivery timing options, throwing a readable error
+const checkDeliveryWindow = (payload) => {
+  if (!hasDeliveryWindow(payload)) {
+    return;
+  }
+
+  if (!PER_DEVICE_TARGETS.includes(payload.targetType || 'all')) {
+    throw new Error('Local time delivery and quiet hours need known recipients, so they only apply to All Devices and Segment sends');
+  }
+
+  if (payload.localDeliveryTime && parseTimeOfDay(payload.localDeliveryTime) === null) {
+    throw new Error('Local delivery time must be a time of day such as 09:30');
+  }
+
+  if (payload.respectQuietHours && !isQuietHoursEnabled()) {
+    throw new Error('Quiet hours are not configured on this server');
+  }
+};
+
+// Timezone a device registered with, else the default recipient timezone
+const getRecipientTimeZone = (device) => {
+  const timeZone = device && device.metadata && device.metadata.timezone;
+  return isValidTimeZone(timeZone) ? timeZone : defaultRecipientTimeZone;
+};
+
+// Whether a wall clock time (minutes since midnight) falls in quiet hours
+const isQuietTime = (minutes) => {
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+// Earliest time a device may receive the payload: the next local delivery
+// time since `since` (when the send was due) if one was picked, pushed past
+// quiet hours when they are respected. A release time at or before `now` means
+// the device is due now.
+const getReleaseTime = (payload, device, now = new Date(), since = now) => {
+  const timeZone = getRecipientTimeZone(device);
+  let releaseAt = since;
+
+  if (payload.localDeliveryTime) {
+    releaseAt = getNextLocalTime(since, timeZone, parseTimeOfDay(payload.localDeliveryTime));
+  }
+
+  if (payload.respectQuietHours) {
+    // A device that is due already is sent to now, so now must be outside quiet hours
+    const sendAt = releaseAt < now ? now : releaseAt;
+    const { hour, minute } = getZonedParts(sendAt, timeZone);
+    if (isQuietTime(hour * 60 + minute)) {
+      releaseAt = getNextLocalTime(sendAt, timeZone, parseTimeOfDay(quietHours.end));
+    }
+  }
+
+  return releaseAt;
+};
+
+// Split devices into those whose delivery window is open now and those held
+// for later, with the time the next held device becomes due. Windows that
+// opened since `since` (the time a job was due to run) count as open, however
+// late the job runs.
+const splitByDeliveryWindow = (payload, devices, now = new Date(), since = now) => {
+  const due = [];
+  const held = [];
+  let nextReleaseAt = null;
+
+  devices.forEach(device => {
+    const releaseAt = getReleaseTime(payload, device, now, since);
+    if (releaseAt.getTime() <= now.getTime()) {
+      due.push(device);
+      return;
+    }
+
+    held.push(device);
+    if (!nextReleaseAt || releaseAt < nextReleaseAt) {
+      nextReleaseAt = releaseAt;
+    }
+  });
+
+  return { due, held, nextReleaseAt };
+};
+
+// Short description of a payload's delivery timing for summaries
+const describeDeliveryWindow = (payload) => {
+  const parts = [];
+  if (payload.localDeliveryTime) {
+    parts.push(`at ${payload.localDeliveryTime} recipient local time`);
+  }
+  if (payload.respectQuietHours) {
+    parts.push(`outside quiet hours (${quietHours.start}-${quietHours.end})`);
+  }
+  return parts.join(', ');
+};
+
+module.exports = {
+  hasDeliveryWindow,
+  checkDeliveryWindow,
+  getRecipientTimeZone,
+  getReleaseTime,
+  splitByDeliveryWindow,
+  describeDeliveryWindow
+};
@@ -0,0 +1,75 @@
+const { Op } = require('sequelize');
+const NotificationHistory = require('../models/NotificationHistory');
+const NotificationJob = require('../models/NotificationJob');
+const ScheduledNotification = require('../models/ScheduledNotification');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const { idempotencyPolicy } = require('../config/idempotency');
+
+// Longest accepted key; clients usually send a UUID
+const MAX_KEY_LENGTH = 255;
+
+// Keys of submissions being handled right now, so a second click that arrives
+// before the first submission stored anything is caught as well
+const inFlight = new Set();
+
+// Throw a readable error unless the key is 1-255 visible ASCII characters
+const checkIdempotencyKey = (key) => {
+  if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    throw new Error(`Idempotency key must be 1-${MAX_KEY_LENGTH} visible ASCII characters without spaces`);
+  }
+};
+
+// Where an earlier submission with the same key ended up, most advanced
+// first: a history entry once sending started, else its queued job,
+// scheduled notification or approval request
+const SUBMISSION_SOURCES = [
+  ['history', NotificationHistory, 'sentBy', { dryRun: false }],
+  ['job', NotificationJob, 'createdBy', {}],
+  ['scheduled', ScheduledNotification, 'createdBy', {}],
+  ['approval', ApprovalRequest, 'requestedBy', {}]
+];
+
+// Find the earlier submission by the same user with this key within the
+// idempotency window. Returns { type, record } or null.
+const findOriginalSubmission = async (key, userId) => {
+  const since = new Date(Date.now() - idempotencyPolicy.windowMinutes * 60 * 1000);
+
+  for (const [type, Model, userField, extra] of SUBMISSION_SOURCES) {
+    const record = await Model.findOne({
+      where: {
+        idempotencyKey: key,
+        [userField]: userId || null,
+        createdAt: { [Op.gte]: since },
+        ...extra
+      },
+      order: [['createdAt', 'ASC']]
+    });
+    if (record) {
+      return { type, record };
+    }
+  }
+
+  return null;
+};
+
+// Mark a user's key as being handled; false when another request holds it
+const claimIdempotencyKey = (key, userId) => {
+  const claim = `${userId || ''}:${key}`;
+  if (inFlight.has(claim)) {
+    return false;
+  }
+  inFlight.add(claim);
+  return true;
+};
+
+const releaseIdempotencyKey = (key, userId) => {
+  inFlight.delete(`${userId || ''}:${key}`);
+};
+
+module.exports = {
+  MAX_KEY_LENGTH,
+  checkIdempotencyKey,
+  findOriginalSubmission,
+  claimIdempotencyKey,
+  releaseIdempotencyKey
+};
@@ -0,0 +1,278 @@
+const { EventEmitter } = require('events');
+const { Op } = require('sequelize');
+const NotificationJob = require('../models/NotificationJob');
+const NotificationHistory = require('../models/NotificationHistory');
+const { sendNotification, describeTarget, summarizeFanOut } = require('./messaging');
+
+// Number of jobs sent at the same time
+const WORKER_COUNT = Math.max(1, parseInt(process.env.JOB_WORKERS, 10) || 1);
+// How often idle workers look for queued jobs they may have missed
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5 * 1000;
+
+const FINISHED_STATUSES = ['Completed', 'Failed', 'Cancelled'];
+
+// Emits 'progress' with a job's progress snapshot after every change, and
+// 'finished' with the job once it completed, failed or was cancelled
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let timer = null;
+let activeWorkers = 0;
+
+const publish = (job) => {
+  jobEvents.emit('progress', job.toProgress());
+};
+
+// History entry and error of a finished job, as send callers expect them
+const getJobOutcome = async (job) => {
+  const history = job.historyId ? await NotificationHistory.findByPk(job.historyId) : null;
+  if (job.status === 'Completed') {
+    return { history, error: null };
+  }
+  return { history, error: new Error(job.error || job.summary || `Send ${job.status.toLowerCase()}`) };
+};
+
+const publishFinished = (job) => {
+  publish(job);
+  jobEvents.emit('finished', job);
+};
+
+// True once someone asked a running job to stop
+const isCancelRequested = async (job) => {
+  return (await NotificationJob.count({ where: { id: job.id, status: 'Cancelling' } })) > 0;
+};
+
+// Mark a job that stopped before (or between) batches as cancelled, keeping
+// its history entry's counts of the recipients reached so far
+const finishCancelledJob = async (job) => {
+  const values = {
+    status: 'Cancelled',
+    error: job.totalRecipients
+      ? `Cancelled after reaching ${job.successCount} of ${job.totalRecipients} recipient(s)`
+      : 'Cancelled before anything was sent'
+  };
+  const counts = {
+    successCount: job.successCount,
+    failureCount: job.failureCount,
+    totalRecipients: job.totalRecipients || 0
+  };
+
+  let history = job.historyId ? await NotificationHistory.findByPk(job.historyId) : null;
+  if (history) {
+    // Keep what the send already recorded (e.g. experiment or approval details)
+    const data = history.data && typeof history.data === 'object' ? history.data : {};
+    await history.update({ ...values, data: { ...data, ...counts } });
+    // A stopped follow-up of one account's part of a fan-out
+    if (history.parentId) {
+      await summarizeFanOut(await NotificationHistory.findByPk(history.parentId));
+    }
+  } else {
+    history = await NotificationHistory.create({
+      ...values,
+      data: counts,
+      title: job.payload.title || job.title,
+      body: job.payload.body || '',
+      target: await describeTarget(job.payload),
+      sentBy: job.createdBy,
+      accountId: job.payload.accountId || null,
+      campaignId: job.campaignId,
+      approvalId: job.approvalId,
+      payload: job.payload,
+      originId: job.payload.originId || null,
+      idempotencyKey: job.payload.idempotencyKey || null
+    });
+  }
+
+  await job.update({
+    status: 'Cancelled',
+    historyId: history.id,
+    summary: values.error,
+    finishedAt: new Date()
+  });
+};
+
+// Send a job's notification and record the outcome on it. A job with
+// recipients held for their delivery window goes back to the queue until the
+// next window opens.
+const runJob = async (job) => {
+  try {
+    const { history, response, cancelled, held } = await sendNotification(job.payload, {
+      sentBy: job.createdBy,
+      campaignId: job.campaignId,
+      approvalId: job.approvalId,
+      job,
+      onProgress: publish,
+      shouldStop: () => isCancelRequested(job)
+    });
+
+    if (held) {
+      // A stop requested during this round wins over the re-queue
+      const [requeued] = await NotificationJob.update(
+        { status: 'Queued', runAt: held.releaseAt, historyId: history.id, summary: response },
+        { where: { id: job.id, status: 'Running' } }
+      );
+      await job.reload();
+      if (!requeued) {
+        await finishCancelledJob(job);
+        publishFinished(job);
+      } else {
+        publish(job);
+      }
+      return;
+    }
+
+    await job.update({
+      status: cancelled ? 'Cancelled' : 'Completed',
+      historyId: history.id,
+      summary: response,
+      finishedAt: new Date()
+    });
+  } catch (error) {
+    console.error(`Notification job ${job.id} failed: ${error.message}`);
+
+    await job.update({
+      status: 'Failed',
+      historyId: error.history ? error.history.id : job.historyId,
+      error: error.message,
+      finishedAt: new Date()
+    });
+  }
+
+  publishFinished(job);
+};
+
+// Claim the oldest queued job that is due so no other worker can take it,
+// or null if none is left
+const claimNextJob = async () => {
+  const next = await NotificationJob.findOne({
+    where: {
+      status: 'Queued',
+      [Op.or]: [{ runAt: null }, { runAt: { [Op.lte]: new Date() } }]
+    },
+    order: [['createdAt', 'ASC']]
+  });
+
+  if (!next) {
+    return null;
+  }
+
+  const [claimed] = await NotificationJob.update(
+    { status: 'Running', startedAt: next.startedAt || new Date() },
+    { where: { id: next.id, status: 'Queued' } }
+  );
+
+  return claimed ? next.reload() : claimNextJob();
+};
+
+// Run queued jobs one after another until the queue is empty
+const runWorker = async () => {
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      publish(job);
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Notification job worker error:', error);
+  }
+};
+
+// Start workers for the queued jobs, up to WORKER_COUNT at a time
+const processQueue = () => {
+  while (activeWorkers < WORKER_COUNT) {
+    activeWorkers++;
+    runWorker().finally(() => {
+      activeWorkers--;
+    });
+  }
+};
+
+// Queue a composed notification for the workers and return the job right away
+const enqueueNotification = async (payload, { sentBy = null, campaignId = null, approvalId = null, scheduledId = null } = {}) => {
+  const job = await NotificationJob.create({
+    title: payload.title,
+    payload,
+    createdBy: sentBy,
+    idempotencyKey: payload.idempotencyKey || null,
+    campaignId,
+    approvalId,
+    scheduledId
+  });
+
+  publish(job);
+  processQueue();
+
+  return job;
+};
+
+// Cancel a queued job right away, or ask a running one to stop before its
+// next batch. Throws when the job has already finished.
+const cancelJob = async (job, user) => {
+  const [dequeued] = await NotificationJob.update(
+    { status: 'Cancelled', cancelledBy: user.id },
+    { where: { id: job.id, status: 'Queued' } }
+  );
+
+  if (dequeued) {
+    await job.reload();
+    await finishCancelledJob(job);
+    publishFinished(job);
+    return job;
+  }
+
+  const [stopping] = await NotificationJob.update(
+    { status: 'Cancelling', cancelledBy: user.id },
+    { where: { id: job.id, status: 'Running' } }
+  );
+
+  if (!stopping) {
+    throw new Error('This send has already finished');
+  }
+
+  await job.reload();
+  publish(job);
+  return job;
+};
+
+// Start the workers (call once the database is ready)
+const startJobQueue = async () => {
+  if (timer) return;
+
+  // Jobs cut off by a restart continue with the recipients they had not reached
+  const [interrupted] = await NotificationJob.update(
+    { status: 'Queued' },
+    { where: { status: 'Running' } }
+  );
+  if (interrupted > 0) {
+    console.warn(`Resuming ${interrupted} notification job(s) interrupted by a restart`);
+  }
+
+  // Jobs asked to stop just before a restart are not resumed
+  const stopping = await NotificationJob.findAll({ where: { status: 'Cancelling' } });
+  for (const job of stopping) {
+    await finishCancelledJob(job);
+    publishFinished(job);
+  }
+
+  timer = setInterval(processQueue, POLL_INTERVAL_MS);
+  console.log(`Notification job queue started with ${WORKER_COUNT} worker(s)`);
+
+  processQueue();
+};
+
+const stopJobQueue = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  FINISHED_STATUSES,
+  jobEvents,
+  getJobOutcome,
+  enqueueNotification,
+  cancelJob,
+  startJobQueue,
+  stopJobQueue
+};
@@ -0,0 +1,1340 @@
+const { getFirebaseAdmin, hasDefaultFirebase } = require('../config/firebase');
+const FirebaseAccount = require('../models/FirebaseAccount');
+const Device = require('../models/Device');
+const Topic = require('../models/Topic');
+const TopicSubscription = require('../models/TopicSubscription');
+const NotificationHistory = require('../models/NotificationHistory');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const NotificationJob = require('../models/NotificationJob');
+const Segment = require('../models/Segment');
+const { resolveSegmentDevices } = require('./segments');
+const { buildDeliveries, buildSingleDelivery, recordDeliveries } = require('./deliveries');
+const { sendWithRetry, retryTransientFailures, summarizeRetries } = require('./retry');
+const { getAccountLimiter } = require('./throttle');
+const { hasDeliveryWindow, checkDeliveryWindow, splitByDeliveryWindow } = require('./deliveryWindow');
+const { isDeadTokenError, findDeadTokens, createCleanupSummary, cleanupDeadTokens, describeCleanup } = require('./tokenCleanup');
+const { PLATFORM_KEYS, checkPayloadSize, parseCustomData, parsePlatformOptions, parsePlatformOverrides, deepMerge } = require('../utils/messageOptions');
+const { extractPlaceholders, isRecipientPlaceholder, renderDeep } = require('../utils/placeholders');
+const { parseCondition, evaluateCondition } = require('../utils/condition');
+const { EXPERIMENT_TARGETS, parseExperiment, assignVariants } = require('../utils/experiment');
+const { LOCALIZED_TARGETS, parseLocalizations, resolveLocale, groupByLocale } = require('../utils/localization');
+const { parseRawMessage, toAdminMessage } = require('../utils/rawMessage');
+const { Op } = require('sequelize');
+
+// FCM accepts at most 500 tokens per multicast (or messages per sendEach) request
+const BATCH_SIZE = 500;
+
+// Device fields available to {{device.*}} placeholders (never the token)
+const DEVICE_PLACEHOLDER_FIELDS = ['id', 'name', 'platform'];
+
+// Account modes that send one notification through several Firebase accounts
+const FAN_OUT_MODES = ['multiple', 'all'];
+
+// Android notification colour the topic and device send forms have always used
+const FORM_PLATFORM_DEFAULTS = {
+  topic: { color: '#3498db' },
+  devices: { color: '#3c6382' }
+};
+
+// Pick the notification fields out of a submitted form (or stored payload)
+const extractNotificationPayload = (source = {}) => ({
+  title: source.title,
+  body: source.body,
+  imageUrl: source.imageUrl || '',
+  targetType: source.targetType || 'all',
+  deviceToken: source.deviceToken || '',
+  // Tokens picked on the multi-device form (targetType "devices")
+  deviceTokens: Array.isArray(source.deviceTokens) ? source.deviceTokens : [],
+  topic: source.topic || '',
+  condition: source.condition ? source.condition.trim() : '',
+  segmentId: source.segmentId || null,
+  clickAction: source.clickAction || '',
+  highPriority: Boolean(source.highPriority),
+  silent: Boolean(source.silent),
+  accountId: source.accountId || null,
+  // "multiple" (the accountIds) or "all" active accounts to send through
+  // several Firebase accounts, "single" for the accountId above
+  accountMode: FAN_OUT_MODES.includes(source.accountMode) ? source.accountMode : 'single',
+  accountIds: [].concat(source.accountIds || []).filter(Boolean),
+  // Set on each account's part of a fan-out: only the devices registered for
+  // that account's Firebase project
+  accountDevicesOnly: Boolean(source.accountDevicesOnly),
+  // "HH:mm" to deliver at in each recipient's local time, empty to send now
+  localDeliveryTime: typeof source.localDeliveryTime === 'string' ? source.localDeliveryTime.trim() : '',
+  respectQuietHours: Boolean(source.respectQuietHours),
+  data: parseCustomData(source.data),
+  // "topic" or "devices": the platform defaults of that send form, which the
+  // options and override fields below replace
+  platformDefaults: Object.keys(FORM_PLATFORM_DEFAULTS).includes(source.platformDefaults) ? source.platformDefaults : null,
+  // Raw options (from a template) with the composer's override fields on top
+  platformOptions: deepMerge(
+    parsePlatformOptions(source.platformOptions),
+    parsePlatformOverrides(source.platformOverrides)
+  ),
+  // A/B variants; variant A is the title, body and image above
+  experiment: parseExperiment(source.experiment, {
+    title: source.title,
+    body: source.body,
+    imageUrl: source.imageUrl
+  }),
+  // Per-locale title/body; the title and body above are the fallback language
+  localizations: parseLocalizations(source.localizations),
+  // Complete FCM message pasted in the composer's raw mode, sent as it is
+  rawMessage: parseRawMessage(source.rawMessage),
+  // History entry this notification was resent or cloned from
+  originId: source.originId || null,
+  // Key of the submission, see services/idempotency
+  idempotencyKey: source.idempotencyKey || null
+});
+
+// Targets a notification from history can be resent to instead of its own
+const RESEND_TARGET_TYPES = ['all', 'segment', 'topic', 'device'];
+
+// Payload to send a history entry's notification again, linked to it as the
+// origin. target is "same" or "<targetType>:<value>" (e.g. "topic:news") and
+// an empty accountId keeps the original account. An A/B experiment gets a new
+// id so the resend's results are kept apart from the first send's.
+const createResendPayload = (history, { accountId = '', target = 'same', idempotencyKey = null } = {}) => {
+  const original = history.payload;
+  if (!original) {
+    throw new Error('This notification was sent before payloads were kept with the history, so it cannot be resent');
+  }
+
+  let retarget = {};
+  if (target && target !== 'same') {
+    const separator = target.indexOf(':');
+    const targetType = separator === -1 ? target : target.slice(0, separator);
+    const value = separator === -1 ? '' : target.slice(separator + 1);
+    if (!RESEND_TARGET_TYPES.includes(targetType) || (targetType !== 'all' && !value)) {
+      throw new Error('Choose where to resend the notification');
+    }
+    retarget = {
+      targetType,
+      deviceToken: targetType === 'device' ? value : '',
+      deviceTokens: [],
+      topic: targetType === 'topic' ? value : '',
+      condition: '',
+      segmentId: targetType === 'segment' ? value : null
+    };
+  }
+
+  return extractNotificationPayload({
+    ...original,
+    ...retarget,
+    accountId: accountId || original.accountId || null,
+    // Picking an account sends through that one instead of the original accounts
+    ...(accountId ? { accountMode: 'single', accountIds: [] } : {}),
+    experiment: original.experiment ? { variants: original.experiment.variants } : null,
+    originId: history.id,
+    // The resend is a submission of its own
+    idempotencyKey
+  });
+};
+
+// Find the selected Firebase account, falling back to the default one and
+// then to the credentials in .env (sent through the 'default' admin instance)
+const resolveAccount = async (accountId) => {
+  if (accountId) {
+    return FirebaseAccount.findByPk(accountId);
+  }
+
+  const account = await FirebaseAccount.findOne({ where: { isDefault: true, isActive: true } });
+  if (account || !hasDefaultFirebase()) {
+    return account;
+  }
+  return { id: 'default', name: 'Default', projectId: process.env.FIREBASE_PROJECT_ID, isDefault: true };
+};
+
+const isFanOut = (payload) => FAN_OUT_MODES.includes(payload.accountMode);
+
+// Active accounts a fan-out sends through, the default account first
+const resolveFanOutAccounts = async ({ accountMode, accountIds }) => {
+  const where = { isActive: true };
+  if (accountMode !== 'all') {
+    where.id = { [Op.in]: accountIds || [] };
+  }
+  return FirebaseAccount.findAll({ where, order: [['isDefault', 'DESC'], ['name', 'ASC']] });
+};
+
+// Whether a device's token was issued by the account's Firebase project
+// (metadata.projectId, see /api/devices/register). Devices without one and
+// unregistered tokens belong to the default account.
+const belongsToAccount = (device, account) => {
+  const projectId = device.metadata && device.metadata.projectId;
+  return projectId ? projectId === account.projectId : Boolean(account.isDefault);
+};
+
+// Load the accounts, devices, topics and templates offered by the composer forms
+const getComposerOptions = async () => {
+  // Get Firebase accounts for selection
+  const accounts = await FirebaseAccount.findAll({
+    where: { isActive: true },
+    attributes: ['id', 'name', 'isDefault'],
+    order: [['name', 'ASC']]
+  });
+
+  // Get all active devices for device selection
+  const devices = await Device.findAll({
+    where: { isActive: true },
+    attributes: ['id', 'name', 'platform', 'token', 'metadata'],
+    order: [['name', 'ASC']]
+  });
+
+  // Locales the active devices registered, offered for translations
+  const locales = [...new Set(devices
+    .map(device => device.metadata && device.metadata.locale)
+    .filter(locale => typeof locale === 'string' && locale))].sort();
+
+  // Get topics from active devices (for now just use platform as topics)
+  const topics = [...new Set(devices.map(device => device.platform).filter(Boolean))];
+
+  const templates = await NotificationTemplate.findAll({
+    attributes: ['id', 'name'],
+    order: [['name', 'ASC']]
+  });
+
+  // Managed topics offered by the condition builder
+  const conditionTopics = (await Topic.findAll({
+    where: { isActive: true },
+    attributes: ['name'],
+    order: [['name', 'ASC']]
+  })).map(topicRecord => topicRecord.name);
+
+  const segments = await Segment.findAll({
+    attributes: ['id', 'name'],
+    order: [['name', 'ASC']]
+  });
+
+  return { accounts, devices, topics, templates, conditionTopics, segments, locales };
+};
+
+// Count the devices whose active topic subscriptions satisfy a condition.
+// Also reports the condition's topics that are not managed in the Topic table.
+const estimateConditionAudience = async (condition) => {
+  const { tree, topics } = parseCondition(condition);
+
+  const topicRecords = await Topic.findAll({
+    where: { name: { [Op.in]: topics } },
+    attributes: ['id', 'name']
+  });
+  const topicNames = new Map(topicRecords.map(topicRecord => [topicRecord.id, topicRecord.name]));
+
+  const subscriptions = await TopicSubscription.findAll({
+    where: { topicId: { [Op.in]: [...topicNames.keys()] }, isActive: true },
+    attributes: ['deviceId', 'topicId']
+  });
+
+  // Topics each device is subscribed to
+  const deviceTopics = new Map();
+  subscriptions.forEach(subscription => {
+    if (!deviceTopics.has(subscription.deviceId)) {
+      deviceTopics.set(subscription.deviceId, new Set());
+    }
+    deviceTopics.get(subscription.deviceId).add(topicNames.get(subscription.topicId));
+  });
+
+  const audience = [...deviceTopics.values()].filter(subscribed => evaluateCondition(tree, subscribed)).length;
+  const known = new Set(topicNames.values());
+
+  return {
+    topics,
+    audience,
+    unknownTopics: topics.filter(name => !known.has(name))
+  };
+};
+
+// Estimate how many devices a payload will reach
+const estimateAudience = async ({ targetType, deviceToken, deviceTokens, topic, condition, segmentId }) => {
+  if (targetType === 'device' && deviceToken) {
+    return 1;
+  }
+
+  if (targetType === 'devices' && deviceTokens && deviceTokens.length > 0) {
+    return deviceTokens.length;
+  }
+
+  if (targetType === 'segment' && segmentId) {
+    const segment = await Segment.findByPk(segmentId);
+    return segment ? (await resolveSegmentDevices(segment.rules)).length : 0;
+  }
+
+  if (targetType === 'condition' && condition) {
+    return (await estimateConditionAudience(condition)).audience;
+  }
+
+  if (targetType === 'topic' && topic) {
+    const topicRecord = await Topic.findOne({ where: { name: topic } });
+    if (!topicRecord) {
+      return 0;
+    }
+    return TopicSubscription.count({ where: { topicId: topicRecord.id, isActive: true } });
+  }
+
+  return Device.count({ where: { isActive: true } });
+};
+
+// Short description of where a payload goes
+const describeTarget = async ({ targetType, deviceToken, deviceTokens, topic, condition, segmentId }) => {
+  if (targetType === 'device' && deviceToken) {
+    return `Device: ${deviceToken.substring(0, 12)}...`;
+  }
+  if (targetType === 'devices' && deviceTokens && deviceTokens.length > 0) {
+    return `${deviceTokens.length} device(s)`;
+  }
+  if (targetType === 'topic' && topic) {
+    return `Topic: ${topic}`;
+  }
+  if (targetType === 'condition' && condition) {
+    return `Condition: ${condition}`;
+  }
+  if (targetType === 'segment' && segmentId) {
+    const segment = await Segment.findByPk(segmentId);
+    return `Segment: ${segment ? segment.name : 'Unknown'}`;
+  }
+  return 'All Devices';
+};
+
+// Merge custom data and platform overrides into a built FCM message
+const applyMessageOptions = (message, { data, platformOptions } = {}) => {
+  // Custom keys never replace the standard title/body/timestamp fields
+  message.data = { ...(data || {}), ...message.data };
+
+  PLATFORM_KEYS.forEach(key => {
+    if (platformOptions && platformOptions[key]) {
+      message[key] = deepMerge(message[key] || {}, platformOptions[key]);
+    }
+  });
+
+  return message;
+};
+
+// Notification icon and colour, the Flutter click action, an iOS sound and
+// badge and the web push icons of the topic and device send forms
+const applyFormDefaults = (message, { platformDefaults, silent }) => {
+  const { color } = FORM_PLATFORM_DEFAULTS[platformDefaults];
+
+  message.android.notification = {
+    ...message.android.notification,
+    icon: 'ic_notification',
+    color,
+    clickAction: 'FLUTTER_NOTIFICATION_CLICK'
+  };
+  if (!silent) {
+    message.apns.payload.aps = { ...message.apns.payload.aps, sound: 'default', badge: 1 };
+  }
+  message.webpush.notification = { icon: '/img/icon.png', badge: '/img/badge.png' };
+};
+
+// Build the FCM message (without a target) from a notification payload
+const buildMessage = (payload) => {
+  // A raw message replaces everything the form fields would build
+  if (payload.rawMessage) {
+    const rawMessage = toAdminMessage(payload.rawMessage);
+    checkPayloadSize(rawMessage);
+    return rawMessage;
+  }
+
+  const { title, body, imageUrl, clickAction, highPriority, silent } = payload;
+
+  const message = {
+    notification: {
+      title: title,
+      body: body,
+      // FCM rejects an empty image URL
+      imageUrl: imageUrl || undefined
+    },
+    data: {
+      title: title,
+      body: body,
+      imageUrl: imageUrl || "",
+      timestamp: Date.now().toString()
+    },
+    android: {
+      priority: highPriority ? 'high' : 'normal',
+      notification: {
+        clickAction: clickAction || undefined
+      }
+    },
+    apns: {
+      payload: {
+        aps: {
+          contentAvailable: Boolean(silent)
+        }
+      },
+      fcmOptions: {
+        imageUrl: imageUrl || undefined
+      }
+    },
+    webpush: {
+      notification: {
+        icon: imageUrl || undefined
+      }
+    }
+  };
+
+  // If it's a silent notification, remove the notification object
+  if (silent) {
+    delete message.notification;
+  }
+
+  // Add click action if provided
+  if (clickAction) {
+    message.webpush.fcmOptions = { link: clickAction };
+  }
+
+  if (payload.platformDefaults) {
+    applyFormDefaults(message, payload);
+  }
+
+  applyMessageOptions(message, payload);
+  checkPayloadSize(message);
+
+  return message;
+};
+
+// Per-recipient placeholders used anywhere in a message
+const getRecipientPlaceholders = (message) => {
+  return extractPlaceholders(message).filter(isRecipientPlaceholder);
+};
+
+// Look up a {{device.*}} or {{metadata.*}} value; unknown values render empty
+const resolveRecipientValue = (device, name) => {
+  const [scope, ...path] = name.split('.');
+  const key = path.join('.');
+  let value;
+
+  if (scope === 'device' && DEVICE_PLACEHOLDER_FIELDS.includes(key)) {
+    value = device[key];
+  } else if (scope === 'metadata') {
+    value = (device.metadata || {})[key];
+  }
+
+  return value === undefined || value === null ? '' : String(value);
+};
+
+// Render the per-recipient placeholders of a message for one device
+const personalizeMessage = (message, device, placeholders) => {
+  const variables = Object.fromEntries(
+    placeholders.map(name => [name, resolveRecipientValue(device, name)])
+  );
+  return { ...renderDeep(message, variables), token: device.token };
+};
+
+// Send a message to a list of recipients ({ token, name, platform, metadata })
+// in batches. Identical messages go out with sendEachForMulticast; messages
+// with per-recipient placeholders are rendered per device and sent with sendEach.
+// With dryRun FCM validates every message without delivering it.
+// Transient failures are retried per token, then the devices holding dead
+// tokens are cleaned up after each real batch. onBatch({ batch, responses })
+// is awaited once each batch is done; when shouldStop() resolves true before
+// a batch, the remaining batches are skipped and the response is marked cancelled.
+// A limiter (see services/throttle) keeps the requests within the account's
+// messages-per-second and concurrency caps, shrinking batches to fit the rate.
+// messageFor(recipient), when given, builds every recipient's own message.
+// With groupOf(recipient) and groupMessages (keyed by group), each group is
+// sent its own message and a batch never mixes groups, so keep the
+// recipients of a group together.
+const sendInBatches = async (firebaseAdmin, message, recipients, { dryRun = false, onBatch = null, shouldStop = null, limiter = null, messageFor = null, groupOf = null, groupMessages = null } = {}) => {
+  const messageOf = (batch) => (groupOf ? groupMessages[groupOf(batch[0])] : message);
+  const placeholdersOf = new Map((groupOf ? Object.values(groupMessages) : [message])
+    .map(groupMessage => [groupMessage, getRecipientPlaceholders(groupMessage)]));
+  const batchResponse = {
+    successCount: 0,
+    failureCount: 0,
+    responses: [],
+    personalized: [...placeholdersOf.values()].some(placeholders => placeholders.length > 0),
+    cleanup: dryRun ? null : createCleanupSummary()
+  };
+  const batchSize = limiter ? limiter.batchSize(BATCH_SIZE) : BATCH_SIZE;
+  const batches = planBatches(recipients, batchSize, groupOf);
+
+  // Send to some recipients and resolve to their responses in order
+  const sendToRecipients = async (batch) => {
+    const batchMessage = messageOf(batch);
+    const placeholders = placeholdersOf.get(batchMessage);
+    let batchResult;
+    if (messageFor || placeholders.length > 0) {
+      const messages = batch.map(recipient => (messageFor
+        ? messageFor(recipient)
+        : personalizeMessage(batchMessage, recipient, placeholders)));
+      batchResult = await firebaseAdmin.messaging().sendEach(messages, dryRun);
+    } else {
+      // Create a multicast message
+      batchResult = await firebaseAdmin.messaging().sendEachForMulticast({
+        tokens: batch.map(recipient => recipient.token),
+        notification: batchMessage.notification,
+        data: batchMessage.data,
+        android: batchMessage.android,
+        webpush: batchMessage.webpush,
+        apns: batchMessage.apns,
+        fcmOptions: batchMessage.fcmOptions
+      }, dryRun);
+    }
+    return batchResult.responses || [];
+  };
+  const sendBatch = (batch) => limiter
+    ? limiter.run(batch.length, () => sendToRecipients(batch))
+    : sendToRecipients(batch);
+
+  for (let index = 0; index < batches.length; index++) {
+    const batch = batches[index];
+    const batchNumber = index + 1;
+    const totalBatches = batches.length;
+
+    if (shouldStop && await shouldStop()) {
+      console.warn(`Send cancelled before batch ${batchNumber}/${totalBatches}`);
+      batchResponse.cancelled = true;
+      break;
+    }
+
+    let responses;
+    try {
+      responses = await sendBatch(batch);
+    } catch (batchError) {
+      console.error(`Batch ${batchNumber}/${totalBatches} failed completely: ${batchError.message}`);
+
+      // Keep responses aligned with the recipients
+      const error = { code: batchError.code || 'messaging/batch-failed', message: batchError.message };
+      responses = batch.map(() => ({ success: false, error }));
+    }
+
+    responses = await retryTransientFailures(responses, indices => sendBatch(indices.map(index => batch[index])));
+
+    const successCount = responses.filter(resp => resp.success).length;
+    batchResponse.successCount += successCount;
+    batchResponse.failureCount += batch.length - successCount;
+    batchResponse.responses = [...batchResponse.responses, ...responses];
+
+    if (!dryRun) {
+      await cleanupBatch(batch, responses, batchResponse.cleanup);
+    }
+
+    if (onBatch) {
+      await onBatch({ batch, responses });
+    }
+  }
+
+  batchResponse.retries = summarizeRetries(batchResponse.responses);
+
+  return batchResponse;
+};
+
+// Split recipients into batches of at most batchSize, starting a new batch
+// whenever groupOf(recipient) changes
+const planBatches = (recipients, batchSize, groupOf = null) => {
+  const batches = [];
+  recipients.forEach(recipient => {
+    const current = batches[batches.length - 1];
+    if (current && current.length < batchSize && (!groupOf || groupOf(current[0]) === groupOf(recipient))) {
+      current.push(recipient);
+    } else {
+      batches.push([recipient]);
+    }
+  });
+  return batches;
+};
+
+// Clean up the dead tokens of one batch. Failures are only logged so the
+// remaining batches still go out.
+const cleanupBatch = async (batch, responses, summary) => {
+  try {
+    await cleanupDeadTokens(findDeadTokens(batch, responses), summary);
+  } catch (error) {
+    console.error('Failed to clean up dead tokens:', error);
+  }
+};
+
+// Pair each recipient with its send response for the per-token dry run report
+const describeTokenResults = (recipients, responses) => {
+  return recipients.map((recipient, index) => {
+    const resp = responses[index] || { success: false, error: { message: 'No response received' } };
+    return {
+      device: recipient.name || recipient.id || null,
+      token: `${recipient.token.substring(0, 12)}...`,
+      valid: resp.success,
+      error: resp.success ? null : (resp.error.code || resp.error.message)
+    };
+  });
+};
+
+// One-line dry run outcome for flash messages
+const summarizeDryRun = (tokenResults) => {
+  const invalid = tokenResults.filter(result => !result.valid);
+  let summary = `Dry run: ${tokenResults.length - invalid.length} of ${tokenResults.length} token(s) valid`;
+
+  if (invalid.length > 0) {
+    const listed = invalid.slice(0, 5).map(result => `${result.device || result.token} (${result.error})`);
+    if (invalid.length > listed.length) {
+      listed.push(`${invalid.length - listed.length} more`);
+    }
+    summary += `. Invalid: ${listed.join(', ')}`;
+  }
+
+  return summary;
+};
+
+// Group errors by code for a readable summary
+const summarizeBatchResponse = (batchResponse) => {
+  const errorSummary = batchResponse.responses
+    .reduce((acc, resp) => {
+      if (!resp.success) {
+        const errorCode = resp.error.code;
+        if (!acc[errorCode]) {
+          acc[errorCode] = {
+            count: 0,
+            message: resp.error.message
+          };
+        }
+        acc[errorCode].count++;
+      }
+      return acc;
+    }, {});
+
+  const sentLabel = batchResponse.dryRun ? 'valid' : 'sent';
+  let detailedResponse = `${batchResponse.successCount} ${sentLabel}, ${batchResponse.failureCount} failed`;
+  if (batchResponse.cancelled) {
+    detailedResponse = `Cancelled: ${detailedResponse}, remaining recipients were not sent to`;
+  }
+  if (batchResponse.failureCount > 0) {
+    detailedResponse += '\nError Summary:';
+    Object.entries(errorSummary).forEach(([code, data]) => {
+      detailedResponse += `\n- ${code} (${data.count} devices): ${data.message}`;
+    });
+  }
+
+  if (batchResponse.retries && batchResponse.retries.retried > 0) {
+    const { retried, recovered } = batchResponse.retries;
+    detailedResponse += `\nRetries: ${retried} token(s) retried after transient errors, ${recovered} succeeded`;
+  }
+
+  const cleanup = describeCleanup(batchResponse.cleanup);
+  if (cleanup) {
+    detailedResponse += `\nCleanup: ${cleanup}`;
+  }
+
+  return detailedResponse;
+};
+
+// Send a message to a resolved list of devices in batches and summarize the outcome
+// A background job tracks its progress through `progress` (see createJobProgress).
+// With a deliveryWindow ({ payload, since }) only the devices whose local
+// delivery window opened since `since` are sent to; the others are returned as
+// held for a later round.
+// An experiment ({ experiment, messages } keyed by variant) sends each device
+// the message of the variant it is assigned across the whole audience.
+// Localized content ({ localizations, messages } keyed by locale) groups the
+// devices by their registered locale and sends each group its own batches.
+const sendToDevices = async (firebaseAdmin, message, devices, { dryRun = false, targetDescription, progress = null, limiter = null, deliveryWindow = null, variants = null, localized = null } = {}) => {
+  const batchSize = limiter ? limiter.batchSize(BATCH_SIZE) : BATCH_SIZE;
+  const variantOf = variants ? assignVariants(variants.experiment, devices) : null;
+  const pending = progress ? await progress.start(targetDescription, devices, variantOf) : devices;
+  const { due, held, nextReleaseAt } = deliveryWindow
+    ? splitByDeliveryWindow(deliveryWindow.payload, pending, new Date(), deliveryWindow.since)
+    : { due: pending, held: [], nextReleaseAt: null };
+
+  // Recipients of a locale are kept together so they share batches
+  let recipients = due;
+  let groupOf = null;
+  let localeCounts = null;
+  if (localized) {
+    const groups = groupByLocale(localized.localizations, due);
+    const localeOf = new Map();
+    groups.forEach((group, locale) => group.forEach(device => localeOf.set(device.token, locale)));
+    groupOf = (recipient) => localeOf.get(recipient.token);
+    localeCounts = [...groups].filter(([, group]) => group.length > 0)
+      .map(([locale, group]) => `${locale} (${group.length})`);
+    recipients = [...groups.values()].flat();
+  }
+
+  if (progress) {
+    await progress.plan(planBatches(recipients, batchSize, groupOf).length);
+  }
+
+  let messageFor = null;
+  if (variants) {
+    const placeholders = Object.fromEntries(Object.entries(variants.messages)
+      .map(([key, variantMessage]) => [key, getRecipientPlaceholders(variantMessage)]));
+    messageFor = (recipient) => {
+      const key = variantOf.get(recipient.token);
+      return placeholders[key].length > 0
+        ? personalizeMessage(variants.messages[key], recipient, placeholders[key])
+        : { ...variants.messages[key], token: recipient.token };
+    };
+  }
+
+  const batchResponse = await sendInBatches(firebaseAdmin, message, recipients, {
+    dryRun,
+    limiter,
+    messageFor,
+    groupOf,
+    groupMessages: localized ? localized.messages : null,
+    onBatch: progress ? progress.onBatch : null,
+    shouldStop: progress ? progress.shouldStop : null
+  });
+  batchResponse.dryRun = dryRun;
+
+  if (progress) {
+    // Count the batches sent before a restart as well
+    batchResponse.successCount = progress.job.successCount;
+    batchResponse.failureCount = progress.job.failureCount;
+  }
+
+  let response = summarizeBatchResponse(batchResponse);
+  if (localeCounts && localeCounts.length > 0) {
+    response += `\nLocales: ${localeCounts.join(', ')}`;
+  }
+  if (held.length > 0 && !batchResponse.cancelled) {
+    response += `\nHeld: ${held.length} recipient(s) until their delivery window opens, next at ${nextReleaseAt.toISOString()}`;
+  }
+
+  return {
+    response,
+    tokenResults: describeTokenResults(recipients, batchResponse.responses),
+    // Jobs store their deliveries batch by batch
+    deliveries: progress ? [] : buildDeliveries(recipients, batchResponse.responses, variantOf),
+    cleanup: batchResponse.cleanup,
+    cancelled: Boolean(batchResponse.cancelled),
+    held: held.length > 0 && !batchResponse.cancelled
+      ? { count: held.length, releaseAt: nextReleaseAt }
+      : null
+  };
+};
+
+// Progress tracking for a send run by a background job. The history entry is
+// created as soon as the recipients are known and every batch's deliveries
+// and counts are saved as it completes, so a job interrupted by a restart
+// skips the tokens it already reached (and a job held for recipients'
+// delivery windows continues with the rest). onProgress(job) is called after
+// each change and shouldStop() before each batch.
+const createJobProgress = (job, historyFields, { onProgress = () => {}, shouldStop = null } = {}) => {
+  // Save the counters, then pick up the status cancelJob may have changed
+  // meanwhile so progress never reports a stopping job as running
+  const saveProgress = async (counters) => {
+    await job.update(counters);
+    await job.reload({ attributes: ['status', 'cancelledBy'] });
+    onProgress(job);
+  };
+
+  const progress = {
+    job,
+    history: null,
+    shouldStop,
+
+    // Create (or reload) the history entry and return the devices still to send
+    // to; variantOf maps tokens to experiment variants for their deliveries
+    start: async (targetDescription, devices, variantOf = null) => {
+      progress.variantOf = variantOf;
+      if (job.historyId) {
+        progress.history = await NotificationHistory.findByPk(job.historyId);
+      }
+
+      if (!progress.history) {
+        progress.history = await NotificationHistory.create({
+          ...historyFields,
+          target: targetDescription,
+          status: 'Sending'
+        });
+      }
+
+      const reached = new Set((await NotificationDelivery.findAll({
+        where: { historyId: progress.history.id },
+        attributes: ['token']
+      })).map(delivery => delivery.token));
+      const pending = devices.filter(device => !reached.has(device.token));
+
+      await job.update({
+        historyId: progress.history.id,
+        totalRecipients: devices.length
+      });
+
+      return pending;
+    },
+
+    // Note how many batches this round sends
+    plan: async (batchCount) => {
+      await saveProgress({
+        totalBatches: job.batchesDone + batchCount
+      });
+    },
+
+    onBatch: async ({ batch, responses }) => {
+      await recordDeliveries(progress.history, buildDeliveries(batch, responses, progress.variantOf));
+
+      const successCount = responses.filter(resp => resp.success).length;
+      await saveProgress({
+        batchesDone: job.batchesDone + 1,
+        successCount: job.successCount + successCount,
+        failureCount: job.failureCount + batch.length - successCount
+      });
+    }
+  };
+
+  return progress;
+};
+
+// Keep the devices of the account's project when only those are sent to
+const filterAccountDevices = (devices, account) => {
+  return account ? devices.filter(device => belongsToAccount(device, account)) : devices;
+};
+
+// Send a message to every active device
+const sendToAllDevices = async (firebaseAdmin, message, options) => {
+  const devices = filterAccountDevices(await Device.findAll({
+    where: { isActive: true },
+    attributes: ['id', 'name', 'platform', 'token', 'metadata']
+  }), options.accountDevices);
+
+  if (devices.length === 0) {
+    throw new Error(options.accountDevices
+      ? `No active devices are registered for the Firebase project of ${options.accountDevices.name}`
+      : 'No active devices found to send notification');
+  }
+
+  const targetDescription = `All Devices (${devices.length})`;
+  return {
+    ...await sendToDevices(firebaseAdmin, message, devices, { ...options, targetDescription }),
+    targetDescription
+  };
+};
+
+// Send a message to the devices a saved segment matches right now
+const sendToSegment = async (firebaseAdmin, message, segmentId, options) => {
+  const segment = await Segment.findByPk(segmentId);
+
+  if (!segment) {
+    throw new Error('Segment not found');
+  }
+
+  const devices = filterAccountDevices(await resolveSegmentDevices(segment.rules), options.accountDevices);
+
+  if (devices.length === 0) {
+    throw new Error(options.accountDevices
+      ? `Segment "${segment.name}" does not match any devices of the Firebase project of ${options.accountDevices.name}`
+      : `Segment "${segment.name}" does not match any devices`);
+  }
+
+  const targetDescription = `Segment: ${segment.name} (${devices.length})`;
+  return {
+    ...await sendToDevices(firebaseAdmin, message, devices, { ...options, targetDescription }),
+    targetDescription
+  };
+};
+
+// Send to a list of tokens; registered devices get their placeholders and
+// locale, unknown tokens render them empty
+const sendToTokens = async (firebaseAdmin, message, tokens, options) => {
+  const knownDevices = await Device.findAll({
+    where: { token: { [Op.in]: tokens } },
+    attributes: ['id', 'name', 'platform', 'token', 'metadata']
+  });
+  const devicesByToken = new Map(knownDevices.map(device => [device.token, device]));
+  const recipients = filterAccountDevices(tokens.map(token => devicesByToken.get(token) || { token }), options.accountDevices);
+
+  if (recipients.length === 0) {
+    throw new Error(`None of the tokens belongs to the Firebase project of ${options.accountDevices.name}`);
+  }
+
+  const targetDescription = `${recipients.length} device(s)`;
+  return {
+    ...await sendToDevices(firebaseAdmin, message, recipients, { ...options, targetDescription }),
+    targetDescription
+  };
+};
+
+// Send a single message, noting the outcome as a delivery for the recipient
+// (null for topic and condition sends). Transient failures are retried; a dead
+// recipient token is cleaned up and the summary attached to the thrown error.
+// Each attempt waits for a slot from the account's limiter, if given.
+const sendSingle = async (firebaseAdmin, message, recipient, deliveries, dryRun, limiter = null) => {
+  const send = () => firebaseAdmin.messaging().send(message, dryRun);
+  try {
+    const { result: messageId, attempts } = await sendWithRetry(limiter ? () => limiter.run(1, send) : send);
+    deliveries.push(buildSingleDelivery(recipient, { messageId, attempts }));
+    return messageId;
+  } catch (error) {
+    deliveries.push(buildSingleDelivery(recipient, { error, attempts: error.attempts }));
+    if (!dryRun && recipient && isDeadTokenError(error)) {
+      error.cleanup = await cleanupDeadTokens(new Map([[recipient.token, deliveries[deliveries.length - 1].errorCode]]));
+    }
+    throw error;
+  }
+};
+
+// Throw when a payload combines content options that cannot go together or
+// with its target
+const checkContentOptions = (payload) => {
+  const targetType = payload.targetType || 'all';
+
+  if (payload.experiment && !EXPERIMENT_TARGETS.includes(targetType)) {
+    throw new Error('A/B experiments need known recipients, so they only apply to All Devices and Segment sends');
+  }
+
+  if (payload.localizations && !LOCALIZED_TARGETS.includes(targetType)) {
+    throw new Error('Translations need known recipients, so they only apply to All Devices, Segment and Specific Device sends');
+  }
+
+  if (payload.localizations && payload.experiment) {
+    throw new Error('Translations cannot be combined with an A/B experiment');
+  }
+
+  // A raw message is sent exactly as pasted, so nothing may rewrite its content
+  if (payload.rawMessage && (payload.experiment || payload.localizations)) {
+    throw new Error('A raw FCM message cannot be combined with translations or an A/B experiment');
+  }
+
+  if (isFanOut(payload) && targetType === 'device') {
+    throw new Error('A device token belongs to a single Firebase project, so it cannot be sent through several accounts');
+  }
+
+  if (payload.accountMode === 'multiple' && payload.accountIds.length === 0) {
+    throw new Error('Choose the Firebase accounts to send through');
+  }
+};
+
+// Send a composed notification and record it in the notification history.
+// Every send goes through here (the composer, the topic, multi-device and device
+// test forms, the scheduler and campaign runs) so all paths behave the same.
+// A dry run goes through the same steps but FCM only validates the messages.
+// Background jobs pass their NotificationJob to save progress batch by batch.
+// Devices held for their local delivery window are returned as `held`; a job
+// is re-queued for them by its worker, other callers get a follow-up job.
+// Sends through several accounts are handed to sendFanOut, which calls back
+// in here once per account with the parent entry's parentId.
+const sendNotification = async (payload, { sentBy = null, campaignId = null, approvalId = null, dryRun = false, job = null, onProgress, shouldStop, parentId = null } = {}) => {
+  if (isFanOut(payload)) {
+    return sendFanOut(payload, { sentBy, campaignId, approvalId, dryRun, job, onProgress, shouldStop });
+  }
+
+  const { title, body, imageUrl, targetType, deviceToken, deviceTokens, topic, condition, segmentId, accountId, originId, idempotencyKey } = payload;
+  // Per-recipient outcomes, stored once the history entry exists
+  let deliveries = [];
+  let progress = null;
+  let firebaseAccount = null;
+
+  try {
+    firebaseAccount = await resolveAccount(accountId);
+
+    if (!firebaseAccount) {
+      throw new Error('No Firebase account selected or available');
+    }
+
+    // Get Firebase Admin SDK for the selected account
+    const firebaseAdmin = await getFirebaseAdmin(firebaseAccount.id);
+
+    if (!firebaseAdmin) {
+      throw new Error(`Firebase Admin not initialized for account: ${firebaseAccount.name}`);
+    }
+
+    checkDeliveryWindow(payload);
+    checkContentOptions(payload);
+
+    const message = buildMessage(payload);
+    // Shared with every other send using this account
+    const limiter = getAccountLimiter(firebaseAccount);
+
+    if (job) {
+      progress = createJobProgress(job, {
+        title,
+        body,
+        sentBy,
+        accountId: accountId || null,
+        accountName: firebaseAccount.name,
+        campaignId,
+        approvalId,
+        dryRun,
+        payload,
+        originId: originId || null,
+        idempotencyKey: idempotencyKey || null
+      }, { onProgress, shouldStop });
+    }
+
+    const placeholders = getRecipientPlaceholders(message);
+    const personalized = placeholders.length > 0;
+
+    let response;
+    let targetDescription;
+    let tokenResults = null;
+    let cleanup = null;
+    let cancelled = false;
+    let held = null;
+    // Part of a fan-out: only the devices of this account's project
+    const accountDevices = payload.accountDevicesOnly ? firebaseAccount : null;
+    // Dry runs validate every device right away. A job's windows count from
+    // when it was due to run, so a worker picking it up late misses none.
+    const deliveryWindow = hasDeliveryWindow(payload) && !dryRun
+      ? { payload, since: job ? (job.runAt || job.createdAt) : new Date() }
+      : null;
+    // Every variant's message, tagged so the app can report which one it got
+    const variants = payload.experiment ? {
+      experiment: payload.experiment,
+      messages: Object.fromEntries(payload.experiment.variants.map(variant => {
+        const variantMessage = buildMessage({ ...payload, title: variant.title, body: variant.body, imageUrl: variant.imageUrl });
+        variantMessage.data = { ...variantMessage.data, experimentVariant: variant.key };
+        return [variant.key, variantMessage];
+      }))
+    } : null;
+    // Every translation's message; the fallback language uses the message above
+    const localized = payload.localizations ? {
+      localizations: payload.localizations,
+      messages: Object.fromEntries([
+        [payload.localizations.fallbackLocale, message],
+        ...payload.localizations.translations.map(translation => [
+          translation.locale,
+          buildMessage({ ...payload, title: translation.title, body: translation.body })
+        ])
+      ])
+    } : null;
+    // Determine target type and send accordingly
+    if (targetType === 'device' && deviceToken) {
+      const device = await Device.findOne({ where: { token: deviceToken } });
+      const recipient = device || { token: deviceToken };
+      const localeMessage = localized
+        ? localized.messages[resolveLocale(localized.localizations, recipient)]
+        : message;
+      const localePlaceholders = getRecipientPlaceholders(localeMessage);
+      const deviceMessage = localePlaceholders.length > 0
+        ? personalizeMessage(localeMessage, recipient, localePlaceholders)
+        : { ...localeMessage, token: deviceToken };
+      response = await sendSingle(firebaseAdmin, deviceMessage, recipient, deliveries, dryRun, limiter);
+      targetDescription = `Device: ${(deviceToken && typeof deviceToken === 'string') ? deviceToken.substring(0, 12) : 'Unknown'}...`;
+      tokenResults = describeTokenResults([recipient], [{ success: true }]);
+    } else if (targetType === 'topic' && topic) {
+      // Topic subscribers are unknown here, so nothing can be rendered per device
+      if (personalized) {
+        throw new Error('Per-device placeholders such as {{device.name}} cannot be used when sending to a topic');
+      }
+      if (!payload.rawMessage) {
+        message.data = { ...message.data, topic, type: 'topic' };
+      }
+      message.topic = topic;
+      response = await sendSingle(firebaseAdmin, message, null, deliveries, dryRun, limiter);
+      targetDescription = `Topic: ${topic}`;
+    } else if (targetType === 'condition' && condition) {
+      if (personalized) {
+        throw new Error('Per-device placeholders such as {{device.name}} cannot be used with a topic condition');
+      }
+      message.condition = parseCondition(condition).expression;
+      response = await sendSingle(firebaseAdmin, message, null, deliveries, dryRun, limiter);
+      targetDescription = `Condition: ${message.condition}`;
+    } else if (targetType === 'devices' && deviceTokens && deviceTokens.length > 0) {
+      // Raw messages are sent without the panel's own data keys
+      if (!payload.rawMessage) {
+        message.data = { ...message.data, type: 'direct' };
+      }
+      ({ response, targetDescription, tokenResults, deliveries, cleanup, cancelled, held } = await sendToTokens(firebaseAdmin, message, deviceTokens, { dryRun, progress, limiter, deliveryWindow, variants, localized, accountDevices }));
+    } else if (targetType === 'segment' && segmentId) {
+      ({ response, targetDescription, tokenResults, deliveries, cleanup, cancelled, held } = await sendToSegment(firebaseAdmin, message, segmentId, { dryRun, progress, limiter, deliveryWindow, variants, localized, accountDevices }));
+    } else {
+      ({ response, targetDescription, tokenResults, deliveries, cleanup, cancelled, held } = await sendToAllDevices(firebaseAdmin, message, { dryRun, progress, limiter, deliveryWindow, variants, localized, accountDevices }));
+    }
+
+    const successCount = deliveries.filter(delivery => delivery.success).length;
+
+    const values = {
+      title,
+      body,
+      target: targetDescription,
+      // A cancelled job keeps the counts of the recipients reached so far;
+      // one with recipients held for later is still sending
+      status: cancelled ? 'Cancelled' : (held ? 'Sending' : 'Success'),
+      messageId: response,
+      sentBy,
+      accountId: accountId || null,
+      accountName: firebaseAccount.name,
+      // Later rounds of a held send keep the origin set by the first one
+      ...(progress && progress.history ? {} : { campaignId, approvalId, parentId }),
+      dryRun,
+      payload,
+      originId: originId || null,
+      idempotencyKey: idempotencyKey || null,
+      data: JSON.stringify({
+        imageUrl,
+        targetType,
+        personalized,
+        response,
+        // Data block as sent, before any per-device placeholders are rendered
+        dataPayload: message.data,
+        // Per-token validity is only kept for dry runs
+        tokenResults: dryRun ? tokenResults : undefined,
+        cleanup: describeCleanup(cleanup) || undefined,
+        held: held ? held.count : undefined,
+        experiment: payload.experiment || undefined,
+        localizations: payload.localizations || undefined,
+        rawMessage: payload.rawMessage || undefined,
+        // Counts across every batch of a job, including any sent before a restart
+        ...(progress && progress.history ? {
+          successCount: job.successCount,
+          failureCount: job.failureCount,
+          totalRecipients: job.totalRecipients
+        } : {})
+      })
+    };
+    const history = progress && progress.history
+      ? await progress.history.update(values)
+      : await NotificationHistory.create(values);
+
+    await recordDeliveries(history, deliveries);
+
+    // A later round of one account's part of a fan-out updates the totals
+    if (progress && history.parentId) {
+      await summarizeFanOut(await NotificationHistory.findByPk(history.parentId));
+    }
+
+    // Without a job of our own, the held recipients go to a follow-up job
+    // that the queue picks up once the next window opens
+    if (held && !job) {
+      await NotificationJob.create({
+        title,
+        payload,
+        createdBy: sentBy,
+        historyId: history.id,
+        runAt: held.releaseAt,
+        totalRecipients: deliveries.length + held.count,
+        successCount,
+        failureCount: deliveries.length - successCount
+      });
+    }
+
+    return { history, response, targetDescription, tokenResults, cleanup, cancelled, held };
+  } catch (error) {
+    // A job that already started keeps its history entry and recipients so far
+    const started = (progress && progress.history) ||
+      (job && job.historyId ? await NotificationHistory.findByPk(job.historyId) : null);
+    const failure = {
+      status: 'Failed',
+      error: error.message,
+      data: JSON.stringify({
+        error: error.message,
+        imageUrl,
+        targetType,
+        cleanup: describeCleanup(error.cleanup) || undefined
+      })
+    };
+
+    const history = started ? await started.update(failure) : await NotificationHistory.create({
+      ...failure,
+      title: title || 'Unknown',
+      body: body || 'Unknown',
+      // Keep the target so failed sends can be told apart
+      target: await describeTarget(payload).catch(() => 'Unknown'),
+      sentBy,
+      accountId: accountId || null,
+      accountName: firebaseAccount ? firebaseAccount.name : (accountId ? 'Custom' : 'Default'),
+      campaignId,
+      approvalId,
+      dryRun,
+      payload,
+      originId: originId || null,
+      idempotencyKey: idempotencyKey || null,
+      parentId
+    });
+
+    await recordDeliveries(history, deliveries);
+
+    if (started && history.parentId) {
+      await summarizeFanOut(await NotificationHistory.findByPk(history.parentId));
+    }
+
+    error.history = history;
+    throw error;
+  }
+};
+
+// Recipients reached and failed by a history entry
+const countDeliveries = async (historyId) => ({
+  successCount: await NotificationDelivery.count({ where: { historyId, success: true } }),
+  failureCount: await NotificationDelivery.count({ where: { historyId, success: false } })
+});
+
+// Sum up a fan-out's child entries on its parent entry. Accounts with
+// recipients held for their delivery window keep the parent sending until
+// the follow-up jobs have reached them.
+const summarizeFanOut = async (parent, { accounts = [], cancelled = false, dryRun = parent && parent.dryRun, tokenResults = [] } = {}) => {
+  // Cleared from the history meanwhile
+  if (!parent) {
+    return null;
+  }
+
+  const { payload } = parent;
+
+  // Outcome per account, including the ones sent before a restart
+  const accountNames = new Map(accounts.map(account => [account.id, account.name]));
+  const children = await NotificationHistory.findAll({
+    where: { parentId: parent.id },
+    order: [['createdAt', 'ASC']]
+  });
+  const results = await Promise.all(children.map(async child => ({
+    historyId: child.id,
+    accountId: child.accountId,
+    accountName: accountNames.get(child.accountId) || child.accountName,
+    status: child.status,
+    error: child.error || undefined,
+    held: child.status === 'Sending' && child.data ? child.data.held : undefined,
+    ...await countDeliveries(child.id)
+  })));
+
+  const failed = results.filter(result => result.status === 'Failed');
+  const successCount = results.reduce((total, result) => total + result.successCount, 0);
+  const failureCount = results.reduce((total, result) => total + result.failureCount, 0);
+  const heldCount = results.reduce((total, result) => total + (result.held || 0), 0);
+  const response = results
+    .map(result => `${result.accountName}: ${result.status === 'Failed' ? `failed (${result.error})` : `${result.successCount} ${dryRun ? 'valid' : 'sent'}, ${result.failureCount} failed${result.held ? `, ${result.held} held` : ''}`}`)
+    .join('\n');
+
+  let status = 'Success';
+  if (cancelled || results.some(result => result.status === 'Cancelled')) {
+    status = 'Cancelled';
+  } else if (failed.length > 0 && failed.length === results.length) {
+    status = 'Failed';
+  } else if (results.some(result => result.status === 'Sending')) {
+    status = 'Sending';
+  } else if (failed.length > 0) {
+    status = 'Partial';
+  }
+
+  await parent.update({
+    status,
+    error: failed.length > 0 ? `Failed through ${failed.map(result => result.accountName).join(', ')}` : null,
+    data: JSON.stringify({
+      targetType: payload.targetType,
+      fanOut: true,
+      response,
+      accounts: results,
+      successCount,
+      failureCount,
+      held: heldCount || undefined,
+      tokenResults: dryRun ? tokenResults : undefined,
+      experiment: payload.experiment || undefined,
+      localizations: payload.localizations || undefined,
+      rawMessage: payload.rawMessage || undefined
+    })
+  });
+
+  return { status, response, failed };
+};
+
+// Send one notification through several Firebase accounts, one account after
+// the other. Each account sends to its own project's audience and records a
+// child history entry; the parent entry sums them up. A job follows the
+// accounts rather than their batches, can be stopped between accounts and,
+// after a restart, skips the accounts it already sent through.
+// Throws (with the parent entry) only when every account failed.
+const sendFanOut = async (payload, { sentBy = null, campaignId = null, approvalId = null, dryRun = false, job = null, onProgress = () => {}, shouldStop = null } = {}) => {
+  const { title, body, targetType, originId, idempotencyKey } = payload;
+  const accounts = await resolveFanOutAccounts(payload);
+  const targetDescription = await describeTarget(payload);
+  const values = {
+    title,
+    body,
+    target: targetDescription,
+    sentBy,
+    accountId: null,
+    accountName: `${accounts.length} account(s)`,
+    campaignId,
+    approvalId,
+    dryRun,
+    payload,
+    originId: originId || null,
+    idempotencyKey: idempotencyKey || null
+  };
+
+  const started = job && job.historyId ? await NotificationHistory.findByPk(job.historyId) : null;
+  const parent = started || await NotificationHistory.create({ ...values, status: 'Sending' });
+
+  try {
+    checkDeliveryWindow(payload);
+    checkContentOptions(payload);
+    if (accounts.length === 0) {
+      throw new Error('None of the chosen Firebase accounts is active');
+    }
+  } catch (error) {
+    await parent.update({ status: 'Failed', error: error.message, data: JSON.stringify({ targetType, fanOut: true, error: error.message }) });
+    error.history = parent;
+    throw error;
+  }
+
+  if (job) {
+    await job.update({ historyId: parent.id, totalBatches: accounts.length });
+  }
+
+  const sentThrough = new Set((await NotificationHistory.findAll({
+    where: { parentId: parent.id },
+    attributes: ['accountId']
+  })).map(child => child.accountId));
+  let tokenResults = [];
+  let cancelled = false;
+
+  for (const account of accounts) {
+    if (sentThrough.has(account.id)) {
+      continue;
+    }
+    if (shouldStop && await shouldStop()) {
+      cancelled = true;
+      break;
+    }
+
+    // The parent entry keeps the origin and idempotency key
+    const accountPayload = {
+      ...payload,
+      accountId: account.id,
+      accountMode: 'single',
+      accountIds: [],
+      accountDevicesOnly: true,
+      originId: null,
+      idempotencyKey: null
+    };
+
+    let child = null;
+    try {
+      const result = await sendNotification(accountPayload, { sentBy, campaignId, approvalId, dryRun, parentId: parent.id });
+      child = result.history;
+      tokenResults = tokenResults.concat(result.tokenResults || []);
+    } catch (error) {
+      // Recorded as a failed child entry; the other accounts still send
+      console.error(`Error sending through Firebase account ${account.name}:`, error);
+      child = error.history || null;
+    }
+
+    if (job) {
+      const counts = child ? await countDeliveries(child.id) : { successCount: 0, failureCount: 0 };
+      await job.update({
+        batchesDone: job.batchesDone + 1,
+        successCount: job.successCount + counts.successCount,
+        failureCount: job.failureCount + counts.failureCount
+      });
+      onProgress(job);
+    }
+  }
+
+  const { status, response, failed } = await summarizeFanOut(parent, { accounts, cancelled, dryRun, tokenResults });
+
+  if (status === 'Failed') {
+    const error = new Error(`Sending failed through every account: ${failed.map(result => `${result.accountName}: ${result.error}`).join('; ')}`);
+    error.history = parent;
+    throw error;
+  }
+
+  return { history: parent, response, targetDescription, tokenResults: dryRun ? tokenResults : null, cleanup: null, cancelled, held: null };
+};
+
+module.exports = {
+  BATCH_SIZE,
+  extractNotificationPayload,
+  createResendPayload,
+  resolveAccount,
+  getComposerOptions,
+  estimateConditionAudience,
+  estimateAudience,
+  describeTarget,
+  applyMessageOptions,
+  buildMessage,
+  sendInBatches,
+  describeTokenResults,
+  summarizeDryRun,
+  checkContentOptions,
+  isFanOut,
+  resolveFanOutAccounts,
+  summarizeFanOut,
+  sendNotification
+};
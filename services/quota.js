@@ -0,0 +1,125 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const QuotaUsage = require('../models/QuotaUsage');
+const { roleQuotas } = require('../config/quota');
+const { estimateAudience, describeTarget, isFanOut, resolveFanOutAccounts } = require('./messaging');
+
+// Quota checks waiting per user, so two sends submitted at the same time
+// cannot both take the last of a quota
+const pendingCharges = new Map();
+
+const startOfDay = () => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+// Daily limits for a user: their own where an admin set them, else their role's
+const getQuotaLimits = (user) => {
+  const role = roleQuotas[user.quotaRole()];
+  return {
+    role: user.quotaRole(),
+    notificationsPerDay: user.dailyNotificationLimit ?? role.notificationsPerDay,
+    recipientsPerDay: user.dailyRecipientLimit ?? role.recipientsPerDay,
+    custom: user.dailyNotificationLimit != null || user.dailyRecipientLimit != null
+  };
+};
+
+// Notifications and recipients used today, by user id
+const getQuotaUsage = async (userIds) => {
+  const rows = await QuotaUsage.findAll({
+    where: { userId: { [Op.in]: userIds }, createdAt: { [Op.gte]: startOfDay() } },
+    attributes: [
+      'userId',
+      [sequelize.fn('SUM', sequelize.col('notifications')), 'notifications'],
+      [sequelize.fn('SUM', sequelize.col('recipients')), 'recipients']
+    ],
+    group: ['userId'],
+    raw: true
+  });
+
+  const usage = new Map(userIds.map(userId => [userId, { notifications: 0, recipients: 0 }]));
+  rows.forEach(row => usage.set(row.userId, {
+    notifications: Number(row.notifications) || 0,
+    recipients: Number(row.recipients) || 0
+  }));
+  return usage;
+};
+
+// Left of a limit today; null when unlimited
+const remainingOf = (limit, used) => (limit > 0 ? Math.max(0, limit - used) : null);
+
+// A user's limits, what they used today and what is left
+const getQuotaStatus = async (user, usage = null) => {
+  const limits = getQuotaLimits(user);
+  const used = usage || (await getQuotaUsage([user.id])).get(user.id);
+  return {
+    limits,
+    usage: used,
+    remaining: {
+      notifications: remainingOf(limits.notificationsPerDay, used.notifications),
+      recipients: remainingOf(limits.recipientsPerDay, used.recipients)
+    },
+    limited: limits.notificationsPerDay > 0 || limits.recipientsPerDay > 0
+  };
+};
+
+const chargeUser = async (user, payload) => {
+  // A fan-out sends one message per account; the devices are split between
+  // the accounts, so the audience is counted once
+  const notifications = isFanOut(payload) ? Math.max(1, (await resolveFanOutAccounts(payload)).length) : 1;
+  const recipients = await estimateAudience(payload);
+  const { limits, remaining } = await getQuotaStatus(user);
+
+  if (remaining.notifications === 0) {
+    throw new Error(`Daily quota reached: you can send ${limits.notificationsPerDay} notification(s) per day`);
+  }
+  if (remaining.notifications !== null && notifications > remaining.notifications) {
+    throw new Error(`Daily quota reached: this notification goes out through ${notifications} accounts, ` +
+      `but only ${remaining.notifications} of your ${limits.notificationsPerDay} notifications per day are left`);
+  }
+  if (remaining.recipients !== null && recipients > remaining.recipients) {
+    throw new Error(`Daily quota reached: this notification goes to about ${recipients} recipient(s), ` +
+      `but only ${remaining.recipients} of your ${limits.recipientsPerDay} recipients per day are left`);
+  }
+
+  return QuotaUsage.create({
+    userId: user.id,
+    notifications,
+    recipients,
+    target: await describeTarget(payload)
+  });
+};
+
+// Count a notification the user is submitting (sent, queued, scheduled or
+// held for approval) against their daily quota. Throws a readable error,
+// without counting it, when it would go over the quota.
+const chargeSendQuota = (user, payload) => {
+  const previous = pendingCharges.get(user.id) || Promise.resolve();
+  const charge = previous.catch(() => {}).then(() => chargeUser(user, payload));
+  pendingCharges.set(user.id, charge);
+  charge.catch(() => {}).finally(() => {
+    if (pendingCharges.get(user.id) === charge) {
+      pendingCharges.delete(user.id);
+    }
+  });
+  return charge;
+};
+
+// Give back a charge (or the charge with this id) whose notification could
+// not be submitted or will not go out after all
+const refundSendQuota = async (usage) => {
+  if (typeof usage === 'string') {
+    await QuotaUsage.destroy({ where: { id: usage } });
+  } else if (usage) {
+    await usage.destroy();
+  }
+};
+
+module.exports = {
+  getQuotaLimits,
+  getQuotaUsage,
+  getQuotaStatus,
+  chargeSendQuota,
+  refundSendQuota
+};
@@ -0,0 +1,119 @@
+const { retryPolicy, RETRYABLE_ERROR_CODES } = require('../config/retry');
+const { getErrorCode } = require('./deliveries');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryableError = (error) => {
+  return RETRYABLE_ERROR_CODES.includes(getErrorCode(error));
+};
+
+// Delay in ms requested through a Retry-After header (seconds or HTTP date), if any
+const getRetryAfterMs = (error) => {
+  const headers = error && ((error.httpResponse && error.httpResponse.headers) || error.headers);
+  const value = headers && (headers['retry-after'] || headers['Retry-After']);
+
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Wait before the given retry (1 = first retry): exponential backoff with
+// jitter, or Retry-After when FCM sent one. Null means give up, because
+// FCM asked to wait longer than the policy allows.
+const getRetryDelay = (retry, error) => {
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs !== null) {
+    return retryAfterMs <= retryPolicy.maxDelayMs ? retryAfterMs : null;
+  }
+
+  const backoff = Math.min(retryPolicy.maxDelayMs, retryPolicy.baseDelayMs * 2 ** (retry - 1));
+  return Math.round(backoff * (1 - retryPolicy.jitter) + backoff * retryPolicy.jitter * Math.random());
+};
+
+// Run a single send, retrying transient failures. Resolves to the result and
+// the number of attempts made; a final error carries error.attempts.
+const sendWithRetry = async (send) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { result: await send(), attempts: attempt };
+    } catch (error) {
+      error.attempts = attempt;
+      const delay = attempt < retryPolicy.maxAttempts && isRetryableError(error)
+        ? getRetryDelay(attempt, error)
+        : null;
+
+      if (delay === null) {
+        throw error;
+      }
+
+      console.warn(`Send attempt ${attempt} failed with ${getErrorCode(error)}, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Retry the transient failures among a batch's responses. resend(indices)
+// sends again to those positions and resolves to responses in the same order.
+// Every returned response notes its number of attempts.
+const retryTransientFailures = async (responses, resend) => {
+  const results = responses.map(resp => ({ ...resp, attempts: 1 }));
+
+  for (let attempt = 2; attempt <= retryPolicy.maxAttempts; attempt++) {
+    const pending = results
+      .map((resp, index) => (!resp.success && isRetryableError(resp.error) ? index : null))
+      .filter(index => index !== null);
+
+    if (pending.length === 0) {
+      break;
+    }
+
+    // Wait as long as the most demanding failure asks for
+    const delays = pending.map(index => getRetryDelay(attempt - 1, results[index].error));
+    if (delays.includes(null)) {
+      break;
+    }
+
+    const delay = Math.max(...delays);
+    console.warn(`Retrying ${pending.length} token(s) after transient failures (attempt ${attempt}) in ${delay}ms`);
+    await sleep(delay);
+
+    let retried;
+    try {
+      retried = await resend(pending);
+    } catch (error) {
+      retried = pending.map(() => ({ success: false, error }));
+    }
+
+    pending.forEach((index, i) => {
+      results[index] = { ...(retried[i] || { success: false, error: { message: 'No response received' } }), attempts: attempt };
+    });
+  }
+
+  return results;
+};
+
+// Retried tokens and how many of them eventually succeeded
+const summarizeRetries = (responses) => {
+  const retried = responses.filter(resp => resp.attempts > 1);
+  return {
+    retried: retried.length,
+    recovered: retried.filter(resp => resp.success).length
+  };
+};
+
+module.exports = {
+  isRetryableError,
+  getRetryAfterMs,
+  getRetryDelay,
+  sendWithRetry,
+  retryTransientFailures,
+  summarizeRetries
+};
@@ -0,0 +1,225 @@
+const { Op } = require('sequelize');
+const ScheduledNotification = require('../models/ScheduledNotification');
+const Campaign = require('../models/Campaign');
+const NotificationJob = require('../models/NotificationJob');
+const User = require('../models/User');
+const { chargeSendQuota, refundSendQuota } = require('./quota');
+const { FINISHED_STATUSES, jobEvents, getJobOutcome, enqueueNotification } = require('./jobQueue');
+const { expireStaleRequests, recordScheduledDispatch, resumeApprovedSends } = require('./approvals');
+
+// How often the scheduler looks for due notifications
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 30 * 1000;
+
+let timer = null;
+let ticking = false;
+
+// What a scheduled notification and a campaign run become when their job ends
+const SCHEDULED_STATUSES = { Completed: 'Sent', Failed: 'Failed', Cancelled: 'Cancelled' };
+const CAMPAIGN_RUN_STATUSES = { Completed: 'Success', Failed: 'Failed', Cancelled: 'Cancelled' };
+
+// Copy the outcome of a finished job onto the scheduled notification or
+// campaign that queued it
+const recordJobOutcome = async (job) => {
+  if (job.scheduledId) {
+    const { history, error } = await getJobOutcome(job);
+    await ScheduledNotification.update({
+      status: SCHEDULED_STATUSES[job.status],
+      sentAt: new Date(),
+      historyId: history ? history.id : null,
+      error: error ? error.message : null
+    }, {
+      where: { id: job.scheduledId, status: 'Sending' }
+    });
+  }
+
+  if (job.campaignId) {
+    await Campaign.update({ lastRunStatus: CAMPAIGN_RUN_STATUSES[job.status] }, {
+      where: { id: job.campaignId }
+    });
+  }
+};
+
+jobEvents.on('finished', (job) => {
+  recordJobOutcome(job).catch(error => console.error(`Error recording the outcome of job ${job.id}:`, error));
+});
+
+// Queue a single scheduled notification; it stays Sending until its job ends
+const dispatchScheduledNotification = async (scheduled) => {
+  // Claim the row so a concurrent tick can never send it twice
+  const [claimed] = await ScheduledNotification.update(
+    { status: 'Sending' },
+    { where: { id: scheduled.id, status: 'Scheduled' } }
+  );
+
+  if (!claimed) {
+    return;
+  }
+
+  try {
+    await enqueueNotification(scheduled.payload, {
+      sentBy: scheduled.createdBy,
+      approvalId: scheduled.approvalId,
+      scheduledId: scheduled.id
+    });
+  } catch (error) {
+    console.error(`Scheduled notification ${scheduled.id} could not be queued: ${error.message}`);
+
+    await scheduled.update({
+      status: 'Failed',
+      sentAt: new Date(),
+      error: error.message
+    });
+
+    if (scheduled.approvalId) {
+      await recordScheduledDispatch(scheduled.approvalId, { error });
+    }
+  }
+};
+
+// Queue one occurrence of a recurring campaign and plan the next one
+const runCampaign = async (campaign) => {
+  const now = new Date();
+  const nextRunAt = campaign.computeNextRun(now);
+
+  // Move nextRunAt forward first so the same occurrence never runs twice.
+  // Occurrences missed while the server was down are collapsed into this run.
+  const [claimed] = await Campaign.update({
+    nextRunAt,
+    status: nextRunAt ? 'Active' : 'Completed'
+  }, {
+    where: { id: campaign.id, status: 'Active', nextRunAt: campaign.nextRunAt }
+  });
+
+  if (!claimed) {
+    return;
+  }
+
+  // Each run counts against the daily quota of the campaign's creator; a
+  // run over the quota is skipped
+  let usage = null;
+  try {
+    const creator = await User.findByPk(campaign.createdBy);
+    if (creator) {
+      usage = await chargeSendQuota(creator, campaign.payload);
+    }
+  } catch (error) {
+    console.error(`Campaign "${campaign.name}" run skipped: ${error.message}`);
+    await Campaign.update({
+      lastRunAt: now,
+      lastRunStatus: 'Over quota',
+      runCount: campaign.runCount + 1
+    }, {
+      where: { id: campaign.id }
+    });
+    return;
+  }
+
+  // Updated with the outcome once the job ends
+  let lastRunStatus = 'Queued';
+  try {
+    await enqueueNotification(campaign.payload, {
+      sentBy: campaign.createdBy,
+      campaignId: campaign.id
+    });
+  } catch (error) {
+    console.error(`Campaign "${campaign.name}" run could not be queued: ${error.message}`);
+    await refundSendQuota(usage);
+    lastRunStatus = 'Failed';
+  }
+
+  await Campaign.update({
+    lastRunAt: now,
+    lastRunStatus,
+    runCount: campaign.runCount + 1
+  }, {
+    where: { id: campaign.id }
+  });
+};
+
+// Send every scheduled notification and campaign run whose time has come
+const runDueNotifications = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const expired = await expireStaleRequests();
+    if (expired > 0) {
+      console.log(`Expired ${expired} approval request(s) that were not reviewed in time`);
+    }
+
+    const due = await ScheduledNotification.findAll({
+      where: {
+        status: 'Scheduled',
+        sendAt: { [Op.lte]: new Date() }
+      },
+      order: [['sendAt', 'ASC']]
+    });
+
+    for (const scheduled of due) {
+      await dispatchScheduledNotification(scheduled);
+    }
+
+    const dueCampaigns = await Campaign.findAll({
+      where: {
+        status: 'Active',
+        nextRunAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextRunAt', 'ASC']]
+    });
+
+    for (const campaign of dueCampaigns) {
+      await runCampaign(campaign);
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Start the in-process scheduler (call once the database is ready)
+const startScheduler = async () => {
+  if (timer) return;
+
+  // Notifications claimed when the server stopped: the job queue resumes
+  // the ones that were queued, the others are scheduled again
+  const sending = await ScheduledNotification.findAll({ where: { status: 'Sending' } });
+  let interrupted = 0;
+  for (const scheduled of sending) {
+    const job = await NotificationJob.findOne({
+      where: { scheduledId: scheduled.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (!job) {
+      await scheduled.update({ status: 'Scheduled' });
+      interrupted++;
+    } else if (FINISHED_STATUSES.includes(job.status)) {
+      await recordJobOutcome(job);
+    }
+  }
+  if (interrupted > 0) {
+    console.warn(`Re-queued ${interrupted} scheduled notification(s) interrupted by a restart`);
+  }
+
+  await resumeApprovedSends();
+
+  timer = setInterval(runDueNotifications, POLL_INTERVAL_MS);
+  console.log(`Notification scheduler started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+
+  // Catch up on anything that became due while the server was down
+  await runDueNotifications();
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runDueNotifications
+};
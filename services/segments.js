@@ -0,0 +1,85 @@
+const { Op } = require('sequelize');
+const Device = require('../models/Device');
+const Topic = require('../models/Topic');
+const TopicSubscription = require('../models/TopicSubscription');
+const { matchesSegmentRules } = require('../utils/segmentRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Device ids per subscription query, well under SQLite's limit on bound
+// variables even for very large audiences
+const LOOKUP_BATCH_SIZE = 500;
+
+// Narrow the device query with the rules that map directly onto columns;
+// everything else (metadata, topics) is checked in memory. Inactive devices
+// (e.g. dead tokens) are left out unless a rule asks for them.
+const buildDeviceWhere = (rules, now) => {
+  const where = { isActive: true };
+
+  rules.forEach(rule => {
+    if (rule.field === 'isActive') {
+      where.isActive = rule.value;
+    } else if (rule.field === 'lastSeen') {
+      const since = new Date(now - rule.value * DAY_MS);
+      where.lastSeen = {
+        ...where.lastSeen,
+        ...(rule.operator === 'withinDays' ? { [Op.gte]: since } : { [Op.lt]: since })
+      };
+    }
+  });
+
+  return where;
+};
+
+// Names of the active topic subscriptions of each device
+const loadSubscribedTopics = async (deviceIds) => {
+  const topicsByDevice = new Map();
+
+  for (let i = 0; i < deviceIds.length; i += LOOKUP_BATCH_SIZE) {
+    const subscriptions = await TopicSubscription.findAll({
+      where: { deviceId: { [Op.in]: deviceIds.slice(i, i + LOOKUP_BATCH_SIZE) }, isActive: true },
+      include: [{ model: Topic, attributes: ['name'] }],
+      attributes: ['deviceId']
+    });
+
+    subscriptions.forEach(subscription => {
+      if (!topicsByDevice.has(subscription.deviceId)) {
+        topicsByDevice.set(subscription.deviceId, new Set());
+      }
+      if (subscription.Topic) {
+        topicsByDevice.get(subscription.deviceId).add(subscription.Topic.name);
+      }
+    });
+  }
+
+  return topicsByDevice;
+};
+
+// Resolve segment rules to the devices they currently match
+const resolveSegmentDevices = async (rules) => {
+  const now = Date.now();
+
+  const devices = await Device.findAll({
+    where: buildDeviceWhere(rules, now),
+    attributes: ['id', 'name', 'platform', 'token', 'lastSeen', 'isActive', 'metadata']
+  });
+
+  const usesTopics = rules.some(rule => rule.field === 'topic');
+  const topicsByDevice = usesTopics
+    ? await loadSubscribedTopics(devices.map(device => device.id))
+    : new Map();
+
+  return devices.filter(device => {
+    return matchesSegmentRules(device, rules, topicsByDevice.get(device.id) || new Set(), now);
+  });
+};
+
+// Number of devices a segment currently matches
+const countSegmentDevices = async (rules) => {
+  return (await resolveSegmentDevices(rules)).length;
+};
+
+module.exports = {
+  resolveSegmentDevices,
+  countSegmentDevices
+};
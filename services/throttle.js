@@ -0,0 +1,103 @@
+const { defaultThroughput } = require('../config/throughput');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One limiter per Firebase account, shared by every send in this process
+const limiters = new Map();
+
+// Limiter that paces the messages pushed with one account to a
+// messages-per-second rate and caps the FCM requests in flight.
+// Waiting requests are served in arrival order.
+const createLimiter = () => {
+  const limits = { messagesPerSecond: 0, concurrentRequests: 0 };
+  const waiting = [];
+  let active = 0;
+  // Earliest time the next request may start under the rate limit
+  let nextStartAt = 0;
+
+  const hasFreeSlot = () => !limits.concurrentRequests || active < limits.concurrentRequests;
+
+  const releaseWaiting = () => {
+    while (waiting.length > 0 && hasFreeSlot()) {
+      active++;
+      waiting.shift()();
+    }
+  };
+
+  const acquire = async () => {
+    if (hasFreeSlot()) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  };
+
+  const release = () => {
+    active--;
+    releaseWaiting();
+  };
+
+  // Reserve a time slot for messageCount messages and wait for it
+  const pace = async (messageCount) => {
+    if (!limits.messagesPerSecond) {
+      return;
+    }
+
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + (messageCount / limits.messagesPerSecond) * 1000;
+
+    if (startAt > now) {
+      await sleep(startAt - now);
+    }
+  };
+
+  return {
+    configure({ messagesPerSecond, concurrentRequests }) {
+      limits.messagesPerSecond = messagesPerSecond;
+      limits.concurrentRequests = concurrentRequests;
+      releaseWaiting();
+    },
+
+    // Run an FCM request carrying messageCount messages within the caps
+    async run(messageCount, request) {
+      await acquire();
+      try {
+        await pace(messageCount);
+        return await request();
+      } finally {
+        release();
+      }
+    },
+
+    // Largest batch that keeps a burst within one second's worth of messages
+    batchSize(maxBatchSize) {
+      return limits.messagesPerSecond ? Math.min(maxBatchSize, limits.messagesPerSecond) : maxBatchSize;
+    }
+  };
+};
+
+// Effective caps of an account: its own settings, else the server defaults
+const getAccountThroughput = (account) => ({
+  messagesPerSecond: (account && account.maxMessagesPerSecond) || defaultThroughput.messagesPerSecond,
+  concurrentRequests: (account && account.maxConcurrentRequests) || defaultThroughput.concurrentRequests
+});
+
+// Limiter for an account (or the default credentials when there is none),
+// refreshed with the account's current settings
+const getAccountLimiter = (account) => {
+  const key = account ? account.id : 'default';
+
+  if (!limiters.has(key)) {
+    limiters.set(key, createLimiter());
+  }
+
+  const limiter = limiters.get(key);
+  limiter.configure(getAccountThroughput(account));
+  return limiter;
+};
+
+module.exports = {
+  getAccountThroughput,
+  getAccountLimiter
+};
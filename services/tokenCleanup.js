@@ -0,0 +1,95 @@
+const Device = require('../models/Device');
+const TopicSubscription = require('../models/TopicSubscription');
+const { tokenCleanupMode, DEAD_TOKEN_ERROR_CODES } = require('../config/tokenCleanup');
+const { getErrorCode } = require('./deliveries');
+const { Op } = require('sequelize');
+
+const isDeadTokenError = (error) => {
+  return DEAD_TOKEN_ERROR_CODES.includes(getErrorCode(error));
+};
+
+// Dead tokens among the recipients ({ token }) of a batch, mapped to their error code
+const findDeadTokens = (recipients, responses) => {
+  const deadTokens = new Map();
+
+  responses.forEach((resp, index) => {
+    if (!resp.success && recipients[index] && isDeadTokenError(resp.error)) {
+      deadTokens.set(recipients[index].token, getErrorCode(resp.error));
+    }
+  });
+
+  return deadTokens;
+};
+
+const createCleanupSummary = () => ({
+  mode: tokenCleanupMode,
+  deactivated: 0,
+  flagged: 0,
+  subscriptionsClosed: 0
+});
+
+// Deactivate (or flag) the active devices holding dead tokens and close their
+// topic subscriptions. Counts are added to the given summary.
+const cleanupDeadTokens = async (deadTokens, summary = createCleanupSummary()) => {
+  if (tokenCleanupMode === 'off' || deadTokens.size === 0) {
+    return summary;
+  }
+
+  const devices = await Device.findAll({
+    where: { token: { [Op.in]: [...deadTokens.keys()] }, isActive: true }
+  });
+
+  if (devices.length === 0) {
+    return summary;
+  }
+
+  if (tokenCleanupMode === 'flag') {
+    for (const device of devices.filter(device => !device.needsReview)) {
+      await device.update({ needsReview: true, reviewReason: deadTokens.get(device.token) });
+      summary.flagged++;
+    }
+    return summary;
+  }
+
+  const deviceIds = devices.map(device => device.id);
+
+  await Device.update(
+    { isActive: false, needsReview: false, reviewReason: null },
+    { where: { id: { [Op.in]: deviceIds } } }
+  );
+
+  const [closed] = await TopicSubscription.update(
+    { isActive: false, unsubscribedAt: new Date() },
+    { where: { deviceId: { [Op.in]: deviceIds }, isActive: true } }
+  );
+
+  summary.deactivated += devices.length;
+  summary.subscriptionsClosed += closed;
+
+  return summary;
+};
+
+// One-line cleanup outcome for flash messages and history, or null if nothing changed
+const describeCleanup = (summary) => {
+  if (!summary) {
+    return null;
+  }
+
+  if (summary.flagged > 0) {
+    return `${summary.flagged} device(s) with dead tokens flagged for review`;
+  }
+
+  if (summary.deactivated > 0) {
+    return `${summary.deactivated} device(s) with dead tokens deactivated, ${summary.subscriptionsClosed} topic subscription(s) closed`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  isDeadTokenError,
+  findDeadTokens,
+  createCleanupSummary,
+  cleanupDeadTokens,
+  describeCleanup
+};
@@ -0,0 +1,155 @@
+// Parsing and evaluation of FCM topic conditions such as
+// "'news' in topics && ('ios' in topics || 'android' in topics)".
+
+// FCM accepts at most five topics in a single condition
+const MAX_CONDITION_TOPICS = 5;
+
+// Characters FCM allows in topic names
+const TOPIC_NAME_PATTERN = /^[a-zA-Z0-9-_.~%]+$/;
+
+// Split an expression into tokens, remembering where each one starts
+const tokenize = (expression) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: index });
+      index++;
+    } else if (expression.startsWith('&&', index) || expression.startsWith('||', index)) {
+      tokens.push({ type: expression.slice(index, index + 2), position: index });
+      index += 2;
+    } else if (char === '\'' || char === '"') {
+      const end = expression.indexOf(char, index + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated topic name at position ${index + 1}`);
+      }
+      const name = expression.slice(index + 1, end);
+      if (!TOPIC_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid topic name "${name}" at position ${index + 1}`);
+      }
+      tokens.push({ type: 'topic', name, position: index });
+      index = end + 1;
+    } else {
+      const word = /^[a-zA-Z]+/.exec(expression.slice(index));
+      if (!word) {
+        throw new Error(`Unexpected "${char}" at position ${index + 1}`);
+      }
+      tokens.push({ type: 'word', value: word[0], position: index });
+      index += word[0].length;
+    }
+  }
+
+  return tokens;
+};
+
+// Recursive descent parser: || binds looser than &&, parentheses group
+const parseTokens = (tokens) => {
+  let current = 0;
+
+  const describe = (token) => {
+    if (!token) return 'end of condition';
+    const text = token.type === 'topic' ? `'${token.name}'` : (token.value || token.type);
+    return `"${text}" at position ${token.position + 1}`;
+  };
+
+  const parseFactor = () => {
+    const token = tokens[current];
+
+    if (token && token.type === '(') {
+      current++;
+      const node = parseOr();
+      if (!tokens[current] || tokens[current].type !== ')') {
+        throw new Error(`Expected ")" but found ${describe(tokens[current])}`);
+      }
+      current++;
+      return node;
+    }
+
+    if (token && token.type === 'topic') {
+      const [inWord, topicsWord] = [tokens[current + 1], tokens[current + 2]];
+      if (!inWord || inWord.value !== 'in' || !topicsWord || topicsWord.value !== 'topics') {
+        throw new Error(`Expected "in topics" after '${token.name}' at position ${token.position + 1}`);
+      }
+      current += 3;
+      return { type: 'topic', name: token.name };
+    }
+
+    throw new Error(`Expected a topic or "(" but found ${describe(token)}`);
+  };
+
+  const parseAnd = () => {
+    let node = parseFactor();
+    while (tokens[current] && tokens[current].type === '&&') {
+      current++;
+      node = { type: 'and', left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (tokens[current] && tokens[current].type === '||') {
+      current++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const tree = parseOr();
+  if (current < tokens.length) {
+    throw new Error(`Unexpected ${describe(tokens[current])}`);
+  }
+  return tree;
+};
+
+// Topic names used in a parsed condition
+const collectTopics = (node, found = new Set()) => {
+  if (node.type === 'topic') {
+    found.add(node.name);
+  } else {
+    collectTopics(node.left, found);
+    collectTopics(node.right, found);
+  }
+  return found;
+};
+
+// Parse and validate a condition. Returns { expression, tree, topics } or
+// throws a descriptive error.
+const parseCondition = (expression) => {
+  const trimmed = typeof expression === 'string' ? expression.trim() : '';
+
+  if (!trimmed) {
+    throw new Error('Condition is required');
+  }
+
+  const tree = parseTokens(tokenize(trimmed));
+  const topics = [...collectTopics(tree)];
+
+  if (topics.length > MAX_CONDITION_TOPICS) {
+    throw new Error(`A condition can use at most ${MAX_CONDITION_TOPICS} topics (found ${topics.length})`);
+  }
+
+  return { expression: trimmed, tree, topics };
+};
+
+// Check whether a device subscribed to the given topics matches the condition
+const evaluateCondition = (node, subscribedTopics) => {
+  if (node.type === 'topic') {
+    return subscribedTopics.has(node.name);
+  }
+  if (node.type === 'and') {
+    return evaluateCondition(node.left, subscribedTopics) && evaluateCondition(node.right, subscribedTopics);
+  }
+  return evaluateCondition(node.left, subscribedTopics) || evaluateCondition(node.right, subscribedTopics);
+};
+
+module.exports = {
+  MAX_CONDITION_TOPICS,
+  parseCondition,
+  evaluateCondition
+};
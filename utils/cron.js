@@ -0,0 +1,148 @@
+const { getZonedParts, getNextLocalTime } = require('./timezone');
+
+// Standard 5-field cron: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Never search further than this many years ahead for the next run
+const MAX_SEARCH_YEARS = 5;
+
+// Translate month/day names to their numeric values
+const normalizeValue = (value, fieldIndex) => {
+  const lower = value.toLowerCase();
+  if (fieldIndex === 3 && MONTH_NAMES.includes(lower)) {
+    return String(MONTH_NAMES.indexOf(lower) + 1);
+  }
+  if (fieldIndex === 4 && DAY_NAMES.includes(lower)) {
+    return String(DAY_NAMES.indexOf(lower));
+  }
+  return value;
+};
+
+// Expand a single cron field into the set of values it matches
+const parseField = (expression, fieldIndex) => {
+  const { name, min, max } = FIELDS[fieldIndex];
+  const values = new Set();
+
+  expression.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+    if (!Number.isInteger(step) || step < 1 || (stepPart !== undefined && !/^\d+$/.test(stepPart))) {
+      throw new Error(`Invalid step "${part}" in ${name} field`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else {
+      const [from, to] = rangePart.split('-').map(value => normalizeValue(value, fieldIndex));
+      if (!/^\d+$/.test(from) || (to !== undefined && !/^\d+$/.test(to))) {
+        throw new Error(`Invalid value "${part}" in ${name} field`);
+      }
+      start = parseInt(from, 10);
+      end = to === undefined ? (stepPart === undefined ? start : max) : parseInt(to, 10);
+    }
+
+    if (start < min || end > max || start > end) {
+      throw new Error(`Value "${part}" is out of range for ${name} field (${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Both 0 and 7 mean Sunday
+      values.add(fieldIndex === 4 && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+};
+
+// Parse a cron expression, throwing a descriptive error when it is invalid
+const parseCron = (expression) => {
+  const parts = (expression || '').trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map(parseField);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Cron treats day-of-month and day-of-week as OR when both are restricted
+    restrictedDayOfMonth: parts[2] !== '*',
+    restrictedDayOfWeek: parts[4] !== '*'
+  };
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (schedule, parts) => {
+  if (!schedule.months.has(parts.month)) return false;
+
+  const domMatch = schedule.daysOfMonth.has(parts.day);
+  const dowMatch = schedule.daysOfWeek.has(parts.weekday);
+
+  if (schedule.restrictedDayOfMonth && schedule.restrictedDayOfWeek) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+};
+
+// Find the first time strictly after `after` that matches the expression
+// in the given timezone. Returns null if nothing matches within the search window.
+const getNextCronRun = (expression, after = new Date(), timeZone = 'UTC') => {
+  const schedule = parseCron(expression);
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  // Start at the next whole minute
+  let candidate = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+
+  while (candidate <= limit) {
+    const parts = getZonedParts(new Date(candidate), timeZone);
+
+    if (!matchesDay(schedule, parts)) {
+      // Skip to the next local midnight. Days are not always 24 hours long,
+      // so it is looked up rather than counted; where midnight itself is
+      // skipped by a DST change, keep stepping a minute at a time.
+      const midnight = getNextLocalTime(new Date(candidate), timeZone, 0).getTime();
+      candidate = Math.max(midnight, candidate + 60000);
+    } else if (!schedule.hours.has(parts.hour)) {
+      // Skip to the next local hour
+      candidate += (60 - parts.minute) * 60000;
+    } else if (!schedule.minutes.has(parts.minute)) {
+      candidate += 60000;
+    } else {
+      return new Date(candidate);
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextCronRun
+};
@@ -0,0 +1,109 @@
+// A/B experiments: one send split across title/body/image variants by
+// percentage. Variant A is the composer's own content. Recipients are ranked
+// by a hash of the experiment id and their token, so the split is random but
+// a resumed or held send keeps every device on the same variant.
+
+const crypto = require('crypto');
+
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+// Targets whose recipients are known and can be split
+const EXPERIMENT_TARGETS = ['all', 'segment'];
+
+const isHttpUrl = (value) => /^https?:\/\/[^\s]+$/i.test(value);
+
+// Parse an experiment ({ id?, variants: [{ title, body, imageUrl, percent }] })
+// from an object or its JSON form field. `base` supplies variant A's content.
+// Returns null when no experiment was set up; throws a readable error otherwise.
+const parseExperiment = (value, base = {}) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Experiment must be valid JSON');
+    }
+  }
+
+  const variants = parsed && Array.isArray(parsed.variants) ? parsed.variants : [];
+  if (variants.length < 2) {
+    throw new Error('An experiment needs at least two variants');
+  }
+  if (variants.length > VARIANT_KEYS.length) {
+    throw new Error(`An experiment can have at most ${VARIANT_KEYS.length} variants`);
+  }
+
+  const normalized = variants.map((variant, index) => {
+    const key = VARIANT_KEYS[index];
+    const source = index === 0 ? { ...variant, ...base } : (variant || {});
+    const title = String(source.title || '').trim();
+    const body = String(source.body || '').trim();
+    const imageUrl = String(source.imageUrl || '').trim();
+    const percent = Number(variant && variant.percent);
+
+    if (!title || title.length > 100) {
+      throw new Error(`Variant ${key} needs a title of 1-100 characters`);
+    }
+    if (!body || body.length > 1000) {
+      throw new Error(`Variant ${key} needs a message of 1-1000 characters`);
+    }
+    if (imageUrl && !isHttpUrl(imageUrl)) {
+      throw new Error(`Variant ${key} image URL must be a valid http(s) URL`);
+    }
+    if (!Number.isInteger(percent) || percent < 1 || percent > 99) {
+      throw new Error(`Variant ${key} share must be a whole percentage between 1 and 99`);
+    }
+
+    return { key, title, body, imageUrl, percent };
+  });
+
+  const total = normalized.reduce((sum, variant) => sum + variant.percent, 0);
+  if (total !== 100) {
+    throw new Error(`Variant shares must add up to 100% (currently ${total}%)`);
+  }
+
+  // Keep the id of an experiment that is edited before it goes out
+  const id = typeof parsed.id === 'string' && /^[\w-]{8,64}$/.test(parsed.id)
+    ? parsed.id
+    : crypto.randomUUID();
+
+  return { id, variants: normalized };
+};
+
+// Map every recipient token to its variant key. Each variant gets its share
+// of the recipients, rounded so the counts add up exactly.
+const assignVariants = (experiment, recipients) => {
+  const rank = (token) => crypto.createHash('sha256').update(`${experiment.id}:${token}`).digest('hex');
+  const ranked = recipients
+    .map(recipient => ({ token: recipient.token, rank: rank(recipient.token) }))
+    .sort((a, b) => (a.rank < b.rank ? -1 : (a.rank > b.rank ? 1 : 0)));
+
+  const shares = experiment.variants.map(variant => (variant.percent * ranked.length) / 100);
+  const counts = shares.map(Math.floor);
+  const leftover = ranked.length - counts.reduce((sum, count) => sum + count, 0);
+  shares
+    .map((share, index) => ({ index, remainder: share - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .slice(0, leftover)
+    .forEach(({ index }) => { counts[index]++; });
+
+  const assignment = new Map();
+  let position = 0;
+  experiment.variants.forEach((variant, index) => {
+    ranked.slice(position, position + counts[index]).forEach(({ token }) => assignment.set(token, variant.key));
+    position += counts[index];
+  });
+
+  return assignment;
+};
+
+module.exports = {
+  VARIANT_KEYS,
+  EXPERIMENT_TARGETS,
+  parseExperiment,
+  assignVariants
+};
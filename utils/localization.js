@@ -0,0 +1,120 @@
+// Localized notification content: the composer's title and body are written
+// in a fallback language and translations override them for devices that
+// registered a matching locale (metadata.locale, see /api/devices/register).
+
+// Most translations a single notification can carry
+const MAX_TRANSLATIONS = 20;
+
+// Targets whose recipients are known, so their locales can be looked up
+const LOCALIZED_TARGETS = ['all', 'segment', 'device'];
+
+// Canonical form of a BCP 47 locale tag (e.g. "pt-br" -> "pt-BR"), or null if invalid
+const normalizeLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale)[0] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Language subtag of a canonical locale ("pt-BR" -> "pt")
+const getLanguage = (locale) => locale.split('-')[0].toLowerCase();
+
+// Parse localized content ({ fallbackLocale, translations: [{ locale, title, body }] })
+// from an object or its JSON form field. Returns null when there are no
+// translations; throws a readable error otherwise.
+const parseLocalizations = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Translations must be valid JSON');
+    }
+  }
+
+  const translations = parsed && Array.isArray(parsed.translations) ? parsed.translations : [];
+  if (translations.length === 0) {
+    return null;
+  }
+  if (translations.length > MAX_TRANSLATIONS) {
+    throw new Error(`A notification can have at most ${MAX_TRANSLATIONS} translations`);
+  }
+
+  const fallbackLocale = typeof parsed.fallbackLocale === 'string' ? normalizeLocale(parsed.fallbackLocale.trim()) : null;
+  if (!fallbackLocale) {
+    throw new Error('Fallback language must be a locale such as en or en-US');
+  }
+
+  const seen = new Set([fallbackLocale]);
+  const normalized = translations.map((translation, index) => {
+    const source = translation || {};
+    const label = typeof source.locale === 'string' && source.locale.trim() ? source.locale.trim() : `#${index + 1}`;
+    const locale = typeof source.locale === 'string' ? normalizeLocale(source.locale.trim()) : null;
+    const title = String(source.title || '').trim();
+    const body = String(source.body || '').trim();
+
+    if (!locale) {
+      throw new Error(`Translation ${label} needs a locale such as fr or pt-BR`);
+    }
+    if (seen.has(locale)) {
+      throw new Error(locale === fallbackLocale
+        ? `Translation ${locale} is the fallback language, which uses the title and message above`
+        : `There is more than one translation for ${locale}`);
+    }
+    seen.add(locale);
+
+    if (!title || title.length > 100) {
+      throw new Error(`Translation ${locale} needs a title of 1-100 characters`);
+    }
+    if (!body || body.length > 1000) {
+      throw new Error(`Translation ${locale} needs a message of 1-1000 characters`);
+    }
+
+    return { locale, title, body };
+  });
+
+  return { fallbackLocale, translations: normalized };
+};
+
+// Locale whose content a device gets: a translation for its exact locale,
+// else one for its language, else the fallback language
+const resolveLocale = (localizations, device) => {
+  const { fallbackLocale, translations } = localizations;
+  const registered = device && device.metadata && typeof device.metadata.locale === 'string'
+    ? normalizeLocale(device.metadata.locale)
+    : null;
+
+  if (!registered) {
+    return fallbackLocale;
+  }
+
+  const candidates = [fallbackLocale, ...translations.map(translation => translation.locale)];
+  const language = getLanguage(registered);
+
+  return candidates.find(locale => locale === registered) ||
+    candidates.find(locale => locale === language) ||
+    candidates.find(locale => getLanguage(locale) === language) ||
+    fallbackLocale;
+};
+
+// Group recipients by the locale they get, fallback language first
+const groupByLocale = (localizations, devices) => {
+  const groups = new Map([[localizations.fallbackLocale, []]]);
+  localizations.translations.forEach(translation => groups.set(translation.locale, []));
+  devices.forEach(device => groups.get(resolveLocale(localizations, device)).push(device));
+  return groups;
+};
+
+module.exports = {
+  MAX_TRANSLATIONS,
+  LOCALIZED_TARGETS,
+  normalizeLocale,
+  parseLocalizations,
+  resolveLocale,
+  groupByLocale
+};
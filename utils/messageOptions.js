@@ -0,0 +1,281 @@
+// Parsing of the optional custom data payload and platform overrides that
+// can be attached to a notification (from templates or the composer).
+// Templates carry raw platform options in FCM's shape; the composer's
+// override fields are validated one by one and converted to that shape.
+
+// Message sections that may be overridden per platform
+const PLATFORM_KEYS = ['android', 'apns', 'webpush'];
+
+const isPlainObject = (value) => {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+};
+
+// Accept either an object or its JSON representation from a form field
+const parseJsonObject = (value, label) => {
+  if (value === undefined || value === null || value === '') {
+    return {};
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`${label} must be valid JSON`);
+    }
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw new Error(`${label} must be a JSON object`);
+  }
+
+  return parsed;
+};
+
+// FCM limits a message's payload to 4KB
+const MAX_DATA_PAYLOAD_BYTES = 4096;
+
+// Keys FCM reserves in the data payload, plus prefixes it reserves
+const RESERVED_DATA_KEYS = ['from', 'message_type', 'collapse_key'];
+const RESERVED_DATA_PREFIXES = ['google', 'gcm'];
+
+// Whether FCM reserves a data key for itself
+const isReservedDataKey = (key) => {
+  const lowerKey = key.toLowerCase();
+  return RESERVED_DATA_KEYS.includes(lowerKey) || RESERVED_DATA_PREFIXES.some(prefix => lowerKey.startsWith(prefix));
+};
+
+// Keys the panel fills in itself on every message
+const STANDARD_DATA_KEYS = ['title', 'body', 'imageUrl', 'timestamp', 'experimentVariant'];
+
+// Size of a message's payload as FCM counts it: the serialized notification
+// and data blocks together
+const getPayloadSize = ({ notification, data } = {}) => {
+  return Buffer.byteLength(JSON.stringify({ notification, data }));
+};
+
+// Throw a readable error when a message's payload is over FCM's limit
+const checkPayloadSize = (message, label = 'Notification and data payload') => {
+  const size = getPayloadSize(message);
+  if (size > MAX_DATA_PAYLOAD_BYTES) {
+    throw new Error(`${label} is ${size} bytes, FCM allows at most ${MAX_DATA_PAYLOAD_BYTES}`);
+  }
+};
+
+// FCM data payloads are flat string maps without reserved keys
+const parseCustomData = (value) => {
+  const data = parseJsonObject(value, 'Custom data');
+
+  Object.entries(data).forEach(([key, item]) => {
+    if (!key.trim()) {
+      throw new Error('Custom data keys cannot be empty');
+    }
+    if (isReservedDataKey(key)) {
+      throw new Error(`Custom data key "${key}" is reserved by FCM (${[...RESERVED_DATA_KEYS, 'google*', 'gcm*'].join(', ')})`);
+    }
+    if (STANDARD_DATA_KEYS.includes(key)) {
+      throw new Error(`Custom data key "${key}" is filled in by the panel on every message`);
+    }
+    if (typeof item !== 'string') {
+      throw new Error(`Custom data value for "${key}" must be a string, not ${item === null ? 'null' : typeof item}`);
+    }
+  });
+
+  checkPayloadSize({ data }, 'Custom data');
+
+  return data;
+};
+
+// Only android, apns and webpush sections are accepted
+const parsePlatformOptions = (value) => {
+  const options = parseJsonObject(value, 'Platform options');
+
+  Object.entries(options).forEach(([key, section]) => {
+    if (!PLATFORM_KEYS.includes(key)) {
+      throw new Error(`Unknown platform options section "${key}" (expected ${PLATFORM_KEYS.join(', ')})`);
+    }
+    if (!isPlainObject(section)) {
+      throw new Error(`Platform options "${key}" must be an object`);
+    }
+  });
+
+  return options;
+};
+
+// Longest time FCM keeps an undelivered message (28 days, in seconds)
+const MAX_TTL_SECONDS = 2419200;
+
+const ANDROID_NOTIFICATION_PRIORITIES = ['min', 'low', 'default', 'high', 'max'];
+const ANDROID_VISIBILITIES = ['private', 'public', 'secret'];
+const APNS_PRIORITIES = ['5', '10'];
+const APNS_INTERRUPTION_LEVELS = ['passive', 'active', 'time-sensitive', 'critical'];
+
+// Browsers show at most two notification actions
+const MAX_WEBPUSH_ACTIONS = 2;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Trimmed text of at most maxLength characters, or undefined when blank
+const readText = (value, label, maxLength) => {
+  if (isBlank(value)) {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`${label} must be text`);
+  }
+  const text = value.trim();
+  if (text.length > maxLength) {
+    throw new Error(`${label} must be at most ${maxLength} characters`);
+  }
+  return text || undefined;
+};
+
+// Whole number between min and max, or undefined when blank
+const readInteger = (value, label, min, max) => {
+  if (isBlank(value)) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${label} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// One of the allowed values, or undefined when blank
+const readChoice = (value, label, choices) => {
+  if (isBlank(value)) {
+    return undefined;
+  }
+  if (!choices.includes(value)) {
+    throw new Error(`${label} must be one of ${choices.join(', ')}`);
+  }
+  return value;
+};
+
+// true, or undefined when not set; anything else than a boolean is rejected
+const readFlag = (value, label) => {
+  if (isBlank(value) || value === false) {
+    return undefined;
+  }
+  if (value !== true) {
+    throw new Error(`${label} must be true or false`);
+  }
+  return true;
+};
+
+// Drop undefined values and sections left empty
+const compact = (value) => {
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const entries = Object.entries(value)
+    .map(([key, item]) => [key, compact(item)])
+    .filter(([, item]) => item !== undefined && !(isPlainObject(item) && Object.keys(item).length === 0));
+  return Object.fromEntries(entries);
+};
+
+// Parse the composer's platform override fields ({ android, apns, webpush })
+// from an object or its JSON form field into FCM platform options
+const parsePlatformOverrides = (value) => {
+  const overrides = parseJsonObject(value, 'Platform overrides');
+
+  Object.entries(overrides).forEach(([key, section]) => {
+    if (!PLATFORM_KEYS.includes(key)) {
+      throw new Error(`Unknown platform overrides section "${key}" (expected ${PLATFORM_KEYS.join(', ')})`);
+    }
+    if (!isPlainObject(section)) {
+      throw new Error(`Platform overrides "${key}" must be an object`);
+    }
+  });
+
+  const { android = {}, apns = {}, webpush = {} } = overrides;
+
+  const androidTtl = readInteger(android.ttl, 'Android TTL (seconds)', 0, MAX_TTL_SECONDS);
+  const webpushTtl = readInteger(webpush.ttl, 'Web Push TTL (seconds)', 0, MAX_TTL_SECONDS);
+  const apnsExpiration = readInteger(apns.expiration, 'APNs expiration (UNIX time in seconds)', 0, 4294967295);
+
+  const actions = isBlank(webpush.actions) ? [] : webpush.actions;
+  if (!Array.isArray(actions)) {
+    throw new Error('Web Push actions must be a list');
+  }
+  if (actions.length > MAX_WEBPUSH_ACTIONS) {
+    throw new Error(`Web Push notifications can have at most ${MAX_WEBPUSH_ACTIONS} actions`);
+  }
+
+  return compact({
+    android: {
+      ttl: androidTtl === undefined ? undefined : androidTtl * 1000,
+      collapseKey: readText(android.collapseKey, 'Android collapse key', 100),
+      notification: {
+        channelId: readText(android.channelId, 'Android channel ID', 100),
+        tag: readText(android.tag, 'Android tag', 100),
+        sound: readText(android.sound, 'Android sound', 100),
+        priority: readChoice(android.notificationPriority, 'Android notification priority', ANDROID_NOTIFICATION_PRIORITIES),
+        visibility: readChoice(android.visibility, 'Android visibility', ANDROID_VISIBILITIES)
+      }
+    },
+    apns: {
+      headers: {
+        'apns-priority': readChoice(isBlank(apns.priority) ? undefined : String(apns.priority), 'APNs priority', APNS_PRIORITIES),
+        'apns-expiration': apnsExpiration === undefined ? undefined : String(apnsExpiration),
+        'apns-collapse-id': readText(apns.collapseId, 'APNs collapse ID', 64)
+      },
+      payload: {
+        aps: {
+          sound: readText(apns.sound, 'APNs sound', 100),
+          badge: readInteger(apns.badge, 'APNs badge', 0, 99999),
+          category: readText(apns.category, 'APNs category', 100),
+          mutableContent: readFlag(apns.mutableContent, 'APNs mutable content'),
+          'interruption-level': readChoice(apns.interruptionLevel, 'APNs interruption level', APNS_INTERRUPTION_LEVELS)
+        }
+      }
+    },
+    webpush: {
+      headers: {
+        TTL: webpushTtl === undefined ? undefined : String(webpushTtl)
+      },
+      notification: {
+        requireInteraction: readFlag(webpush.requireInteraction, 'Web Push require interaction'),
+        actions: actions.length > 0
+          ? actions.map((action, index) => {
+            const label = `Web Push action ${index + 1}`;
+            const source = isPlainObject(action) ? action : {};
+            const parsed = {
+              action: readText(source.action, `${label} ID`, 50),
+              title: readText(source.title, `${label} title`, 50),
+              icon: readText(source.icon, `${label} icon`, 500)
+            };
+            if (!parsed.action || !parsed.title) {
+              throw new Error(`${label} needs an ID and a title`);
+            }
+            return compact(parsed);
+          })
+          : undefined
+      }
+    }
+  });
+};
+
+// Recursively merge plain objects; other values in source replace target
+const deepMerge = (target, source) => {
+  const result = { ...target };
+  Object.entries(source || {}).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  });
+  return result;
+};
+
+module.exports = {
+  PLATFORM_KEYS,
+  MAX_DATA_PAYLOAD_BYTES,
+  getPayloadSize,
+  checkPayloadSize,
+  isReservedDataKey,
+  parseCustomData,
+  parsePlatformOptions,
+  parsePlatformOverrides,
+  deepMerge
+};
@@ -0,0 +1,86 @@
+// {{name}} placeholders used by notification templates. Names may contain
+// dots so nested values such as {{user.firstName}} can be referenced.
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][\w.-]*)\s*\}\}/g;
+
+// List the unique placeholder names used in a string, array or object
+const extractPlaceholders = (value, found = new Set()) => {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+      found.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => extractPlaceholders(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      extractPlaceholders(key, found);
+      extractPlaceholders(item, found);
+    });
+  }
+  return [...found];
+};
+
+// Placeholders filled in per recipient from the Device record when sending,
+// e.g. {{device.name}} or {{metadata.appVersion}}
+const RECIPIENT_PREFIXES = ['device.', 'metadata.'];
+
+const isRecipientPlaceholder = (name) => {
+  return RECIPIENT_PREFIXES.some(prefix => name.startsWith(prefix));
+};
+
+// Whether a value (or its JSON form) still contains a placeholder
+const hasPlaceholders = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return new RegExp(PLACEHOLDER_PATTERN.source).test(text);
+};
+
+// Whether a value contains placeholders the sender still has to fill in
+const hasUnfilledPlaceholders = (value) => {
+  return extractPlaceholders(value).some(name => !isRecipientPlaceholder(name));
+};
+
+// Whether a value contains per-recipient placeholders
+const hasRecipientPlaceholders = (value) => {
+  return extractPlaceholders(value).some(isRecipientPlaceholder);
+};
+
+// Replace the placeholders in a string; unknown ones are left untouched
+const renderPlaceholders = (text, variables = {}) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? placeholder : String(value);
+  });
+};
+
+// Render every string (keys included) inside an array or object
+const renderDeep = (value, variables = {}) => {
+  if (typeof value === 'string') {
+    return renderPlaceholders(value, variables);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderDeep(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        renderPlaceholders(key, variables),
+        renderDeep(item, variables)
+      ])
+    );
+  }
+  return value;
+};
+
+module.exports = {
+  PLACEHOLDER_PATTERN,
+  RECIPIENT_PREFIXES,
+  isRecipientPlaceholder,
+  extractPlaceholders,
+  hasPlaceholders,
+  hasUnfilledPlaceholders,
+  hasRecipientPlaceholders,
+  renderPlaceholders,
+  renderDeep
+};
@@ -0,0 +1,401 @@
+// Raw FCM messages pasted by power users. The JSON is a complete FCM v1
+// message without a target; the composer's target selector adds that. It may
+// be in the Firebase Admin SDK's shape (camelCase fields, Android TTL in
+// milliseconds) or in the v1 REST API's (snake_case fields, durations such as
+// "3600s"); REST messages are converted to the Admin SDK's shape first. It is
+// then checked against the schema below so mistakes are reported with the
+// exact field path instead of a generic FCM error.
+
+const { isReservedDataKey, checkPayloadSize } = require('./messageOptions');
+
+const TARGET_FIELDS = ['token', 'topic', 'condition'];
+
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const url = { type: 'string', format: 'url' };
+const color = { type: 'string', format: 'color' };
+const stringMap = { type: 'stringMap' };
+const stringList = { type: 'array', items: string };
+const nonNegative = { type: 'number', min: 0 };
+// Milliseconds; a REST duration such as "3.5s" is converted
+const duration = { type: 'number', min: 0, duration: true };
+// APNs sends these as 1 or 0
+const apnsFlag = { type: 'boolean', numeric: true };
+const count = { type: 'integer', min: 0 };
+
+const ANDROID_NOTIFICATION = {
+  type: 'object',
+  // REST field names that differ by more than their case
+  aliases: {
+    image: 'imageUrl',
+    event_time: 'eventTimestamp',
+    notification_priority: 'priority',
+    vibrate_timings: 'vibrateTimingsMillis'
+  },
+  fields: {
+    title: string,
+    body: string,
+    icon: string,
+    color,
+    sound: string,
+    tag: string,
+    imageUrl: url,
+    clickAction: string,
+    bodyLocKey: string,
+    bodyLocArgs: stringList,
+    titleLocKey: string,
+    titleLocArgs: stringList,
+    channelId: string,
+    ticker: string,
+    sticky: boolean,
+    eventTimestamp: { type: 'string', format: 'date' },
+    localOnly: boolean,
+    priority: { type: 'enum', values: ['min', 'low', 'default', 'high', 'max'] },
+    vibrateTimingsMillis: { type: 'array', items: duration },
+    defaultVibrateTimings: boolean,
+    defaultSound: boolean,
+    lightSettings: {
+      type: 'object',
+      required: ['color', 'lightOnDurationMillis', 'lightOffDurationMillis'],
+      aliases: { light_on_duration: 'lightOnDurationMillis', light_off_duration: 'lightOffDurationMillis' },
+      fields: {
+        color,
+        lightOnDurationMillis: duration,
+        lightOffDurationMillis: duration
+      }
+    },
+    defaultLightSettings: boolean,
+    visibility: { type: 'enum', values: ['private', 'public', 'secret'] },
+    notificationCount: count
+  }
+};
+
+const APS = {
+  type: 'object',
+  // Custom aps keys (e.g. interruption-level) are passed to APNs as they are
+  open: true,
+  fields: {
+    alert: {
+      type: 'oneOf',
+      options: [string, {
+        type: 'object',
+        fields: {
+          title: string,
+          subtitle: string,
+          body: string,
+          locKey: string,
+          locArgs: stringList,
+          titleLocKey: string,
+          titleLocArgs: stringList,
+          subtitleLocKey: string,
+          subtitleLocArgs: stringList,
+          actionLocKey: string,
+          launchImage: string
+        }
+      }]
+    },
+    badge: count,
+    sound: {
+      type: 'oneOf',
+      options: [string, {
+        type: 'object',
+        required: ['name'],
+        fields: {
+          name: string,
+          critical: apnsFlag,
+          volume: { type: 'number', min: 0, max: 1 }
+        }
+      }]
+    },
+    contentAvailable: apnsFlag,
+    mutableContent: apnsFlag,
+    category: string,
+    threadId: string
+  }
+};
+
+const MESSAGE = {
+  type: 'object',
+  fields: {
+    data: { type: 'stringMap', dataPayload: true },
+    notification: {
+      type: 'object',
+      aliases: { image: 'imageUrl' },
+      fields: { title: string, body: string, imageUrl: url }
+    },
+    android: {
+      type: 'object',
+      fields: {
+        collapseKey: string,
+        priority: { type: 'enum', values: ['high', 'normal'] },
+        ttl: duration,
+        restrictedPackageName: string,
+        data: stringMap,
+        notification: ANDROID_NOTIFICATION,
+        fcmOptions: { type: 'object', fields: { analyticsLabel: string } },
+        directBootOk: boolean
+      }
+    },
+    apns: {
+      type: 'object',
+      fields: {
+        headers: stringMap,
+        payload: { type: 'object', open: true, required: ['aps'], fields: { aps: APS } },
+        fcmOptions: { type: 'object', aliases: { image: 'imageUrl' }, fields: { analyticsLabel: string, imageUrl: url } }
+      }
+    },
+    webpush: {
+      type: 'object',
+      fields: {
+        headers: stringMap,
+        data: stringMap,
+        notification: {
+          type: 'object',
+          // Any other Notification API option is passed to the browser
+          open: true,
+          fields: {
+            title: string,
+            body: string,
+            icon: string,
+            badge: string,
+            image: string,
+            lang: string,
+            tag: string,
+            dir: { type: 'enum', values: ['auto', 'ltr', 'rtl'] },
+            renotify: boolean,
+            requireInteraction: boolean,
+            silent: boolean,
+            timestamp: nonNegative,
+            vibrate: { type: 'oneOf', options: [nonNegative, { type: 'array', items: nonNegative }] },
+            actions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['action', 'title'],
+                fields: { action: string, title: string, icon: string }
+              }
+            }
+          }
+        },
+        fcmOptions: {
+          type: 'object',
+          fields: { link: { type: 'string', format: 'https' }, analyticsLabel: string }
+        }
+      }
+    },
+    fcmOptions: { type: 'object', fields: { analyticsLabel: string } }
+  }
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'a list' : `a ${typeof value}`;
+};
+
+const FORMATS = {
+  url: [value => /^https?:\/\/[^\s]+$/i.test(value), 'must be an http(s) URL'],
+  https: [value => /^https:\/\/[^\s]+$/i.test(value), 'must be an https URL'],
+  color: [value => /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value), 'must be a color in #RRGGBB or #RRGGBBAA form'],
+  date: [value => !Number.isNaN(Date.parse(value)), 'must be an ISO 8601 date such as 2026-01-31T09:00:00Z']
+};
+
+// "click_action" -> "clickAction", "thread-id" -> "threadId"
+const toCamelCase = (name) => name.replace(/[_-]([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// "3.5s" -> 3500
+const parseDuration = (value) => {
+  const match = /^(\d+(?:\.\d{1,9})?)s$/.exec(value);
+  return match ? Math.round(Number(match[1]) * 1000) : value;
+};
+
+// REST color { red, green, blue, alpha } with 0-1 channels -> "#RRGGBB(AA)"
+const toHexColor = ({ red = 0, green = 0, blue = 0, alpha }) => {
+  const hex = (channel) => Math.round(Math.min(1, Math.max(0, Number(channel) || 0)) * 255).toString(16).padStart(2, '0');
+  return `#${hex(red)}${hex(green)}${hex(blue)}${alpha === undefined ? '' : hex(alpha)}`;
+};
+
+// Schema field a key stands for: itself, a REST alias or its camelCase form
+const fieldName = (schema, name) => {
+  if (schema.fields[name]) return name;
+  if (schema.aliases && schema.aliases[name]) return schema.aliases[name];
+  return schema.fields[toCamelCase(name)] ? toCamelCase(name) : null;
+};
+
+// Convert a value in the v1 REST API's shape to the Admin SDK's. Values in
+// neither shape are left as they are for check() to report.
+const fromRestShape = (schema, value) => {
+  switch (schema.type) {
+    case 'number':
+      return schema.duration && typeof value === 'string' ? parseDuration(value) : value;
+    case 'boolean':
+      return schema.numeric && (value === 0 || value === 1) ? value === 1 : value;
+    case 'string':
+      return schema.format === 'color' && isPlainObject(value) ? toHexColor(value) : value;
+    case 'enum': {
+      // "HIGH" -> "high", "PRIORITY_MAX" -> "max"
+      const lower = typeof value === 'string' ? value.toLowerCase().replace(/^priority_/, '') : value;
+      return schema.values.includes(lower) ? lower : value;
+    }
+    case 'array':
+      return Array.isArray(value) ? value.map(item => fromRestShape(schema.items, item)) : value;
+    case 'oneOf': {
+      const option = schema.options.find(candidate => candidate.type === 'object') || {};
+      return isPlainObject(value) && option.type ? fromRestShape(option, value) : value;
+    }
+    case 'object': {
+      if (!isPlainObject(value)) return value;
+      const converted = {};
+      Object.entries(value).forEach(([name, item]) => {
+        const field = fieldName(schema, name);
+        if (field) {
+          converted[field] = fromRestShape(schema.fields[field], item);
+        } else {
+          converted[name] = item;
+        }
+      });
+      return converted;
+    }
+    default:
+      return value;
+  }
+};
+
+// Check a value against a schema node; returns an error message or null
+const check = (schema, value, path) => {
+  const fail = (message) => `${path}: ${message}`;
+
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail(`must be a string, not ${describeType(value)}`);
+      const format = FORMATS[schema.format];
+      return format && !format[0](value) ? fail(format[1]) : null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : fail(`must be true or false, not ${describeType(value)}`);
+    case 'number':
+    case 'integer': {
+      const valid = typeof value === 'number' && Number.isFinite(value) && (schema.type === 'number' || Number.isInteger(value));
+      if (!valid && schema.duration) return fail(`must be a number of milliseconds or a duration such as "3600s", not ${describeType(value)}`);
+      if (!valid) return fail(`must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}, not ${describeType(value)}`);
+      if (schema.min !== undefined && value < schema.min) return fail(`must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) return fail(`must be at most ${schema.max}`);
+      return null;
+    }
+    case 'enum':
+      return schema.values.includes(value) ? null : fail(`must be one of ${schema.values.join(', ')}`);
+    case 'stringMap': {
+      if (!isPlainObject(value)) return fail(`must be an object of strings, not ${describeType(value)}`);
+      const key = Object.keys(value).find(name => typeof value[name] !== 'string');
+      if (key !== undefined) return `${path}.${key}: must be a string, not ${describeType(value[key])}`;
+      if (schema.dataPayload) {
+        const reserved = Object.keys(value).find(name => !name.trim() || isReservedDataKey(name));
+        if (reserved !== undefined) return `${path}.${reserved}: ${reserved.trim() ? 'key is reserved by FCM' : 'keys cannot be empty'}`;
+      }
+      return null;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail(`must be a list, not ${describeType(value)}`);
+      for (let index = 0; index < value.length; index++) {
+        const error = check(schema.items, value[index], `${path}[${index}]`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case 'oneOf': {
+      const errors = schema.options.map(option => check(option, value, path));
+      return errors.includes(null) ? null : errors[errors.length - 1];
+    }
+    case 'object': {
+      if (!isPlainObject(value)) return fail(`must be an object, not ${describeType(value)}`);
+      const missing = (schema.required || []).find(name => value[name] === undefined);
+      if (missing) return `${path}.${missing}: is required`;
+      for (const [name, item] of Object.entries(value)) {
+        const field = schema.fields[name];
+        if (!field) {
+          if (schema.open) continue;
+          return `${path}.${name}: unknown field`;
+        }
+        const error = check(field, item, `${path}.${name}`);
+        if (error) return error;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+// "at position 42" in a JSON.parse error -> "line 3, column 5"
+const describeJsonError = (text, error) => {
+  const match = /at position (\d+)/.exec(error.message);
+  if (!match) {
+    return error.message;
+  }
+  const before = text.slice(0, Number(match[1]));
+  const line = before.split('\n').length;
+  const column = before.length - before.lastIndexOf('\n');
+  return `${error.message.replace(/ in JSON at position \d+.*$/, '')} at line ${line}, column ${column}`;
+};
+
+// Parse a raw message from an object or its JSON form field. Returns null when
+// empty; throws a readable error naming the offending field otherwise.
+const parseRawMessage = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    if (!value.trim()) {
+      return null;
+    }
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Raw message is not valid JSON: ${describeJsonError(value, error)}`);
+    }
+  }
+
+  parsed = fromRestShape(MESSAGE, parsed);
+
+  if (isPlainObject(parsed)) {
+    const target = TARGET_FIELDS.find(name => parsed[name] !== undefined);
+    if (target) {
+      throw new Error(`Raw message: message.${target}: leave the target out, it is chosen with the target selector`);
+    }
+  }
+
+  const error = check(MESSAGE, parsed, 'message');
+  if (error) {
+    throw new Error(`Raw message: ${error}`);
+  }
+
+  if (!parsed.notification && !parsed.data && !parsed.android && !parsed.apns && !parsed.webpush) {
+    throw new Error('Raw message: message needs at least one of notification, data, android, apns or webpush');
+  }
+
+  try {
+    checkPayloadSize(parsed);
+  } catch (error) {
+    throw new Error(`Raw message: ${error.message}`);
+  }
+
+  return parsed;
+};
+
+// Copy of a raw message ready for the Admin SDK, which wants a Date for the
+// Android event timestamp
+const toAdminMessage = (rawMessage) => {
+  const message = JSON.parse(JSON.stringify(rawMessage));
+  if (message.android && message.android.notification && message.android.notification.eventTimestamp) {
+    message.android.notification.eventTimestamp = new Date(message.android.notification.eventTimestamp);
+  }
+  return message;
+};
+
+module.exports = {
+  parseRawMessage,
+  toAdminMessage
+};
@@ -0,0 +1,162 @@
+// Audience segment rules over Device attributes. A segment matches the
+// devices that satisfy every one of its rules.
+
+// Fields a rule can use, with the operators each one supports
+const SEGMENT_FIELDS = {
+  platform: { label: 'Platform', type: 'string', operators: ['equals', 'notEquals'] },
+  lastSeen: { label: 'Last seen', type: 'days', operators: ['withinDays', 'olderThanDays'] },
+  isActive: { label: 'Active', type: 'boolean', operators: ['is'] },
+  'metadata.appVersion': { label: 'App version', type: 'version', operators: ['equals', 'notEquals', 'gte', 'gt', 'lte', 'lt'] },
+  'metadata.osVersion': { label: 'OS version', type: 'version', operators: ['equals', 'notEquals', 'gte', 'gt', 'lte', 'lt'] },
+  'metadata.deviceModel': { label: 'Device model', type: 'string', operators: ['equals', 'notEquals', 'contains'] },
+  topic: { label: 'Topic', type: 'topic', operators: ['subscribed', 'notSubscribed'] }
+};
+
+const OPERATOR_LABELS = {
+  equals: '=',
+  notEquals: '≠',
+  contains: 'contains',
+  gte: '≥',
+  gt: '>',
+  lte: '≤',
+  lt: '<',
+  withinDays: 'within the last (days)',
+  olderThanDays: 'not in the last (days)',
+  is: 'is',
+  subscribed: 'subscribed to',
+  notSubscribed: 'not subscribed to'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Compare dotted versions numerically ("3.10" > "3.2"); returns -1, 0 or 1
+const compareVersions = (a, b) => {
+  const left = String(a).split('.');
+  const right = String(b).split('.');
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const [x, y] = [left[i] || '0', right[i] || '0'];
+    const [nx, ny] = [Number(x), Number(y)];
+    const diff = Number.isNaN(nx) || Number.isNaN(ny) ? x.localeCompare(y) : nx - ny;
+    if (diff !== 0) {
+      return diff > 0 ? 1 : -1;
+    }
+  }
+  return 0;
+};
+
+// Accept the rules array or its JSON from the builder's hidden field and
+// normalize each rule. Throws a descriptive error for invalid rules.
+const parseSegmentRules = (value) => {
+  let rules = value;
+  if (typeof value === 'string') {
+    try {
+      rules = value.trim() ? JSON.parse(value) : [];
+    } catch (error) {
+      throw new Error('Segment rules must be valid JSON');
+    }
+  }
+
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('Add at least one rule to the segment');
+  }
+
+  return rules.map((rule, index) => {
+    const position = `Rule ${index + 1}`;
+    const field = SEGMENT_FIELDS[rule && rule.field];
+
+    if (!field) {
+      throw new Error(`${position}: unknown field "${rule && rule.field}"`);
+    }
+    if (!field.operators.includes(rule.operator)) {
+      throw new Error(`${position}: ${field.label} does not support "${rule.operator}"`);
+    }
+
+    let ruleValue = rule.value;
+    if (field.type === 'boolean') {
+      ruleValue = ruleValue === true || ruleValue === 'true';
+    } else if (field.type === 'days') {
+      ruleValue = Number(ruleValue);
+      if (!Number.isInteger(ruleValue) || ruleValue < 1) {
+        throw new Error(`${position}: ${field.label} needs a whole number of days`);
+      }
+    } else {
+      ruleValue = ruleValue === undefined || ruleValue === null ? '' : String(ruleValue).trim();
+      if (!ruleValue) {
+        throw new Error(`${position}: ${field.label} needs a value`);
+      }
+    }
+
+    return { field: rule.field, operator: rule.operator, value: ruleValue };
+  });
+};
+
+// Check one rule against a device and the names of its subscribed topics
+const matchesRule = (device, rule, subscribedTopics, now) => {
+  const field = SEGMENT_FIELDS[rule.field];
+
+  if (field.type === 'topic') {
+    const subscribed = subscribedTopics.has(rule.value);
+    return rule.operator === 'subscribed' ? subscribed : !subscribed;
+  }
+
+  if (field.type === 'days') {
+    const lastSeen = device.lastSeen ? new Date(device.lastSeen).getTime() : 0;
+    const recent = now - lastSeen <= rule.value * DAY_MS;
+    return rule.operator === 'withinDays' ? recent : !recent;
+  }
+
+  if (field.type === 'boolean') {
+    return Boolean(device.isActive) === rule.value;
+  }
+
+  const actual = rule.field.startsWith('metadata.')
+    ? (device.metadata || {})[rule.field.substring('metadata.'.length)]
+    : device[rule.field];
+
+  // Devices without the attribute only match "not equals"
+  if (actual === undefined || actual === null || actual === '') {
+    return rule.operator === 'notEquals';
+  }
+
+  if (field.type === 'version') {
+    const comparison = compareVersions(actual, rule.value);
+    return {
+      equals: comparison === 0,
+      notEquals: comparison !== 0,
+      gte: comparison >= 0,
+      gt: comparison > 0,
+      lte: comparison <= 0,
+      lt: comparison < 0
+    }[rule.operator];
+  }
+
+  const text = String(actual).toLowerCase();
+  const expected = rule.value.toLowerCase();
+  if (rule.operator === 'contains') {
+    return text.includes(expected);
+  }
+  return rule.operator === 'equals' ? text === expected : text !== expected;
+};
+
+// Check every rule of a segment against a device
+const matchesSegmentRules = (device, rules, subscribedTopics = new Set(), now = Date.now()) => {
+  return rules.every(rule => matchesRule(device, rule, subscribedTopics, now));
+};
+
+// Readable summary such as "Platform = android, App version ≥ 3.2"
+const describeSegmentRules = (rules) => {
+  return (rules || []).map(rule => {
+    const field = SEGMENT_FIELDS[rule.field];
+    return `${field ? field.label : rule.field} ${OPERATOR_LABELS[rule.operator] || rule.operator} ${rule.value}`;
+  }).join(', ');
+};
+
+module.exports = {
+  SEGMENT_FIELDS,
+  OPERATOR_LABELS,
+  compareVersions,
+  parseSegmentRules,
+  matchesSegmentRules,
+  describeSegmentRules
+};
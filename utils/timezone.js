@@ -0,0 +1,117 @@
+// Timezone helpers built on Intl so no extra date library is needed
+
+// Check whether a string is a valid IANA timezone name
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// List of timezones supported by the runtime (used to populate selects)
+const getTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return ['UTC'];
+};
+
+// Break a date down into wall clock parts for the given timezone
+const getZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+};
+
+// Offset (in ms) between the timezone's wall clock and UTC at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Convert a wall clock time ("YYYY-MM-DDTHH:mm") in a timezone to a UTC Date
+const zonedTimeToUtc = (localDateTime, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(localDateTime || '');
+  if (!match || !isValidTimeZone(timeZone)) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(part => (part === undefined ? 0 : parseInt(part, 10)));
+  const naive = Date.UTC(year, month - 1, day, hour, minute, second || 0);
+
+  // Apply the offset twice so times next to a DST transition resolve correctly
+  const firstOffset = getTimeZoneOffset(new Date(naive), timeZone);
+  let utc = naive - firstOffset;
+  const secondOffset = getTimeZoneOffset(new Date(utc), timeZone);
+  if (secondOffset !== firstOffset) {
+    utc = naive - secondOffset;
+  }
+
+  return new Date(utc);
+};
+
+// Format a date as a wall clock string ("YYYY-MM-DDTHH:mm") in a timezone
+const formatInTimeZone = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// First instant at or after `from` when the timezone's wall clock reads
+// minutesOfDay (e.g. 540 for 09:00)
+const getNextLocalTime = (from, timeZone, minutesOfDay) => {
+  const parts = getZonedParts(from, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const time = `${pad(Math.floor(minutesOfDay / 60))}:${pad(minutesOfDay % 60)}`;
+
+  const onDay = (dayOffset) => {
+    // Date.UTC rolls over month and year ends
+    const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + dayOffset));
+    return zonedTimeToUtc(
+      `${day.getUTCFullYear()}-${pad(day.getUTCMonth() + 1)}-${pad(day.getUTCDate())}T${time}`,
+      timeZone
+    );
+  };
+
+  const today = onDay(0);
+  return today.getTime() >= from.getTime() ? today : onDay(1);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZones,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  getNextLocalTime
+};